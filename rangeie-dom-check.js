@@ -0,0 +1,745 @@
+/**
+ * RangeIE DOM Backend Checks
+ *
+ * Runs RangeIE over RangeIE.DomBackend and checks the behaviour of its
+ * Range, Selection and helper objects, so that it can be checked
+ * outside of IE. Open rangeie-dom-check.html in any browser, or run
+ * this file with Node where jsdom can be required:
+ *
+ *   node rangeie-dom-check.js
+ *
+ * Author: Brendon Crawford <brendon at aphexcreations dot net>
+ * Homepage: http://github.com/brendoncrawford/rangeie/
+ *
+ * License
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * RangeIECheck
+ *
+ * Each check is run against a fresh editor element holding its HTML,
+ * with the selection emptied.
+ */
+var RangeIECheck = {
+
+    /**
+     * Registered checks
+     *
+     * @private
+     * @type {Object[String name, String html, Function run][]}
+     */
+    _checks : [],
+
+    /**
+     * Registers a check
+     *
+     * @param {String} name
+     * @param {String} html
+     *        Contents of the editor
+     * @param {Function} run
+     *        Called with a RangeIECheck.Context
+     * @return {Bool}
+     */
+    add : function(name, html, run) {
+        this._checks.push({
+            name : name,
+            html : html,
+            run : run
+        });
+        return true;
+    },
+
+    /**
+     * Runs every check in a document
+     *
+     * @param {Document} doc
+     * @return {String[]}
+     *         A message for each failure
+     */
+    run : function(doc) {
+        var editor, failures, context, i;
+        RangeIE.backend = RangeIE.DomBackend;
+        RangeIE.install(doc.defaultView || doc.parentWindow);
+        editor = doc.createElement('div');
+        editor.id = 'rangeie-check-editor';
+        doc.body.appendChild(editor);
+        failures = [];
+        for (i = 0; i < this._checks.length; i++) {
+            editor.innerHTML = this._checks[i].html;
+            RangeIE.Mutation.refresh();
+            RangeIE.getSelection(doc).removeAllRanges();
+            context = new RangeIECheck.Context(this._checks[i].name, editor);
+            try {
+                this._checks[i].run(context);
+            }
+            catch (e) {
+                context.fail('threw ' + (e.name || 'Error') + ': ' +
+                             e.message);
+            }
+            failures = failures.concat(context.failures);
+        }
+        RangeIE.getSelection(doc).removeAllRanges();
+        doc.body.removeChild(editor);
+        return failures;
+    }
+
+};
+
+/**
+ * Context
+ *
+ * Passed to a check, to find nodes in its editor and record failures
+ *
+ * @constructor
+ * @param {String} name
+ * @param {HTMLElement} editor
+ */
+RangeIECheck.Context = function(name, editor) {
+    this.name = name;
+    this.editor = editor;
+    this.document = editor.ownerDocument;
+    this.failures = [];
+};
+
+/**
+ * Context Instance Methods
+ */
+RangeIECheck.Context.prototype = {
+
+    /**
+     * Gets a node of the editor by the child indexes leading to it
+     *
+     * @param {Int} index
+     *        Any number of indexes
+     * @return {HTMLElement}
+     */
+    node : function() {
+        var node, i;
+        node = this.editor;
+        for (i = 0; i < arguments.length; i++) {
+            node = node.childNodes[arguments[i]];
+        }
+        return node;
+    },
+
+    /**
+     * Creates a Range bound to the editor
+     *
+     * @param {HTMLElement} startNode
+     *        Optional. With the offsets and endNode, the boundary
+     *        points to set.
+     * @param {Int} startOffset
+     * @param {HTMLElement} endNode
+     * @param {Int} endOffset
+     * @return {RangeIE.Range}
+     */
+    range : function(startNode, startOffset, endNode, endOffset) {
+        var range;
+        range = RangeIE.createRange({
+            root : this.editor
+        });
+        if (startNode !== undefined) {
+            range.setStart(startNode, startOffset);
+            range.setEnd(endNode, endOffset);
+        }
+        return range;
+    },
+
+    /**
+     * Gets the Selection of the document
+     *
+     * @return {RangeIE.Selection}
+     */
+    selection : function() {
+        return RangeIE.getSelection(this.document);
+    },
+
+    /**
+     * Records a failure unless two values are the same
+     *
+     * @param {Object} actual
+     * @param {Object} expected
+     * @param {String} what
+     * @return {Bool}
+     */
+    equal : function(actual, expected, what) {
+        if (actual !== expected) {
+            this.fail(what + ' was ' + this._format(actual) +
+                      ', expected ' + this._format(expected));
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Records a failure unless a function throws a DOMException with a
+     * name
+     *
+     * @param {Function} func
+     * @param {String} name
+     * @param {String} what
+     * @return {Bool}
+     */
+    throws : function(func, name, what) {
+        try {
+            func();
+        }
+        catch (e) {
+            if (!(e instanceof RangeIE.DOMException) || e.name !== name) {
+                this.fail(what + ' threw ' + e.name + ', expected ' + name);
+                return false;
+            }
+            return true;
+        }
+        this.fail(what + ' did not throw ' + name);
+        return false;
+    },
+
+    /**
+     * Records a failure
+     *
+     * @param {String} message
+     * @return {Bool}
+     */
+    fail : function(message) {
+        this.failures.push(this.name + ': ' + message);
+        return true;
+    },
+
+    /**
+     * Describes a value in a failure message
+     *
+     * @private
+     * @param {Object} value
+     * @return {String}
+     */
+    _format : function(value) {
+        if (typeof value === 'string') {
+            return '"' + value.replace(/\r/g, '\\r').replace(/\n/g, '\\n') +
+                '"';
+        }
+        if (value !== null && typeof value === 'object' &&
+                value.nodeName !== undefined) {
+            return (value.nodeType === 3) ? 'text "' + value.data + '"' :
+                                            value.nodeName;
+        }
+        return String(value);
+    }
+
+};
+
+/**
+ * Checks
+ */
+RangeIECheck.add('setStart and setEnd span several nodes',
+                 'ab<b>cd</b>ef', function(t) {
+    var range;
+    range = t.range(t.node(0), 1, t.node(2), 1);
+    t.equal(range.toString(), 'bcde', 'toString()');
+    range.setEnd(t.node(0), 2);
+    range.setStart(t.node(1, 0), 0);
+    t.equal(range.collapsed, true, 'Range set from after its end collapsed');
+    t.equal(range.endContainer, t.node(1, 0), 'endContainer');
+});
+
+RangeIECheck.add('Points survive a trip through the selection',
+                 '\n  Hello   <b> big <i>in</i> </b>  world \n' +
+                 '<p>  para  two </p>x <br /> y<img />z', function(t) {
+    var texts, range, found, a, b, i, j;
+    texts = [];
+    function getTexts(node) {
+        var k;
+        for (k = 0; k < node.childNodes.length; k++) {
+            if (node.childNodes[k].nodeType === 3) {
+                texts.push(node.childNodes[k]);
+            }
+            else {
+                getTexts(node.childNodes[k]);
+            }
+        }
+    }
+    getTexts(t.editor);
+    for (i = 0; i < texts.length; i++) {
+        for (j = 0; j <= texts[i].length; j++) {
+            range = t.range(texts[i], j, texts[i], j);
+            t.selection().addRange(range);
+            found = t.selection().getRangeAt(0);
+            a = RangeIE.Position.toTextRange(texts[i], j);
+            b = RangeIE.Position.toTextRange(found.startContainer,
+                                             found.startOffset);
+            if (a.compareEndPoints('StartToStart', b) !== 0) {
+                t.fail('Offset ' + j + ' of ' + t._format(texts[i]) +
+                       ' was read back as offset ' + found.startOffset +
+                       ' of ' + t._format(found.startContainer));
+            }
+        }
+    }
+});
+
+RangeIECheck.add('Points in nested inline elements are read exactly',
+                 'a<b>b<i>cd</i></b>e', function(t) {
+    var range;
+    t.selection().addRange(t.range(t.node(1, 1, 0), 1, t.node(1, 1, 0), 2));
+    range = t.selection().getRangeAt(0);
+    t.equal(range.startContainer, t.node(1, 1, 0), 'startContainer');
+    t.equal(range.startOffset, 1, 'startOffset');
+    t.equal(range.endOffset, 2, 'endOffset');
+});
+
+RangeIECheck.add('Ranges are compared', 'abc<b>d</b>', function(t) {
+    var a, b;
+    a = t.range(t.node(0), 0, t.node(0), 2);
+    b = t.range(t.node(0), 1, t.node(1, 0), 1);
+    t.equal(a.compareBoundaryPoints(RangeIE.Range.START_TO_START, b), -1,
+            'START_TO_START');
+    t.equal(a.compareBoundaryPoints(RangeIE.Range.START_TO_END, b), 1,
+            'START_TO_END');
+    t.equal(a.comparePoint(t.node(0), 3), 1, 'comparePoint after');
+    t.equal(a.isPointInRange(t.node(0), 1), true, 'isPointInRange');
+    t.equal(b.isPointInRange(t.node(0), 0), false,
+            'isPointInRange before');
+    t.equal(b.intersectsNode(t.node(1)), true, 'intersectsNode');
+    t.equal(a.intersectsNode(t.node(1)), false, 'intersectsNode outside');
+});
+
+RangeIECheck.add('Text is read from the range only',
+                 'ab<!--cm-->cd<p>more text</p>', function(t) {
+    var range;
+    range = t.range(t.node(1), 0, t.node(1), 1);
+    t.equal(range.toString(), '', 'Within a comment');
+    range.collapse(true);
+    t.equal(range.toString(), '', 'Collapsed in a comment');
+    range.setEnd(t.node(3, 0), 4);
+    t.equal(range.toString(), 'cdmore', 'From a comment');
+    range.detach();
+});
+
+RangeIECheck.add('Contents are cloned and extracted', 'ab<b>cd</b>ef',
+                 function(t) {
+    var range, holder;
+    range = t.range(t.node(0), 1, t.node(2), 1);
+    holder = t.document.createElement('div');
+    holder.appendChild(range.cloneContents());
+    t.equal(holder.innerHTML.toLowerCase(), 'b<b>cd</b>e', 'Clone');
+    holder.innerHTML = '';
+    holder.appendChild(range.extractContents());
+    t.equal(holder.innerHTML.toLowerCase(), 'b<b>cd</b>e', 'Extracted');
+    t.equal(t.editor.innerHTML, 'af', 'Editor');
+    t.equal(range.collapsed, true, 'Range collapsed');
+    t.equal(range.startContainer, t.editor, 'startContainer');
+    t.equal(range.startOffset, 1, 'startOffset');
+});
+
+RangeIECheck.add('Contents are surrounded', 'abc', function(t) {
+    var range, element;
+    range = t.range(t.node(0), 1, t.node(0), 2);
+    element = t.document.createElement('b');
+    range.surroundContents(element);
+    t.equal(t.editor.innerHTML.toLowerCase(), 'a<b>b</b>c', 'Editor');
+    t.equal(range.startContainer, t.editor, 'startContainer');
+    t.equal(range.startOffset, 1, 'startOffset');
+    t.equal(range.endOffset, 2, 'endOffset');
+});
+
+RangeIECheck.add('Contents are deleted from the range only', 'abcdef',
+                 function(t) {
+    t.selection().collapse(t.node(0), 5);
+    t.range(t.node(0), 1, t.node(0), 3).deleteContents();
+    t.equal(t.editor.innerHTML, 'adef', 'Editor');
+    t.equal(t.selection().anchorOffset, 3, 'Selection anchorOffset');
+});
+
+RangeIECheck.add('The node itself is inserted', 'abcd', function(t) {
+    var element;
+    element = t.document.createElement('b');
+    t.range(t.node(0), 2, t.node(0), 2).insertNode(element);
+    t.equal(t.node(1), element, 'Inserted node');
+    t.equal(t.editor.innerHTML.toLowerCase(), 'ab<b></b>cd', 'Editor');
+});
+
+RangeIECheck.add('Selection properties are read', 'abcd', function(t) {
+    var selection;
+    selection = t.selection();
+    selection.addRange(t.range(t.node(0), 1, t.node(0), 3));
+    selection = t.selection();
+    t.equal(selection.rangeCount, 1, 'rangeCount');
+    t.equal(selection.anchorNode, t.node(0), 'anchorNode');
+    t.equal(selection.anchorOffset, 1, 'anchorOffset');
+    t.equal(selection.focusOffset, 3, 'focusOffset');
+    t.equal(selection.isCollapsed, false, 'isCollapsed');
+    t.equal(selection.toString(), 'bc', 'toString()');
+});
+
+RangeIECheck.add('Ranges are shown as the document selection', 'abcd',
+                 function(t) {
+    var selection;
+    selection = t.selection();
+    selection.addRange(t.range(t.node(0), 1, t.node(0), 3));
+    t.equal(RangeIE.backend.getSelectionRange(t.document).text, 'bc',
+            'Document selection');
+    selection.removeAllRanges();
+    t.equal(RangeIE.backend.getSelectionRange(t.document).text, '',
+            'Emptied document selection');
+    t.equal(selection.rangeCount, 0, 'rangeCount');
+});
+
+RangeIECheck.add('Selections are collapsed, extended and queried',
+                 'ab<b>cd</b>ef', function(t) {
+    var selection;
+    selection = t.selection();
+    selection.collapse(t.node(0), 1);
+    selection.extend(t.node(2), 1);
+    t.equal(selection.toString(), 'bcde', 'Extended selection');
+    t.equal(selection.containsNode(t.node(1), false), true,
+            'containsNode');
+    t.equal(selection.containsNode(t.node(2), false), false,
+            'containsNode partly');
+    t.equal(selection.containsNode(t.node(2), true), true,
+            'containsNode partly allowed');
+    selection.selectAllChildren(t.node(1));
+    t.equal(selection.toString(), 'cd', 'All children');
+    selection.deleteFromDocument();
+    t.equal(t.editor.innerHTML.toLowerCase(), 'ab<b></b>ef', 'Editor');
+    t.equal(selection.isCollapsed, true, 'isCollapsed after delete');
+});
+
+RangeIECheck.add('Selections are modified', 'one two three', function(t) {
+    var selection;
+    selection = t.selection();
+    selection.collapse(t.node(0), 1);
+    selection.modify('move', 'forward', 'character');
+    t.equal(selection.focusOffset, 2, 'focusOffset after a character');
+    selection.modify('extend', 'forward', 'word');
+    t.equal(selection.anchorOffset, 2, 'anchorOffset after extending');
+    t.equal(selection.focusOffset, 4, 'focusOffset after a word');
+    selection.modify('move', 'backward', 'character');
+    t.equal(selection.isCollapsed, true, 'Collapsed by moving');
+    t.equal(selection.focusOffset, 2, 'focusOffset after moving back');
+});
+
+RangeIECheck.add('Selections stay within their root', 'abc', function(t) {
+    var selection;
+    selection = t.selection();
+    selection.addRange(t.range(t.node(0), 3, t.node(0), 3));
+    selection.modify('move', 'forward', 'character');
+    t.equal(selection.focusNode, t.node(0), 'focusNode at the end');
+    t.equal(selection.focusOffset, 3, 'focusOffset at the end');
+    selection.collapse(t.node(0), 1);
+    selection.extend(t.node(0), 2);
+    selection.modify('extend', 'forward', 'line');
+    t.equal(selection.focusNode, t.node(0), 'focusNode after a line');
+    selection.selectAllChildren(t.editor);
+    selection.modify('move', 'forward', 'character');
+    t.equal(selection.focusNode, t.node(0), 'focusNode after all children');
+});
+
+RangeIECheck.add('Backwards selections keep their anchor', 'abcdefgh',
+                 function(t) {
+    var selection;
+    selection = t.selection();
+    selection.collapse(t.node(0), 5);
+    selection.extend(t.node(0), 2);
+    t.equal(selection.anchorOffset, 5, 'anchorOffset');
+    t.equal(selection.focusOffset, 2, 'focusOffset');
+    selection.extend(t.node(0), 7);
+    t.equal(selection.anchorOffset, 5, 'anchorOffset after extending');
+    t.equal(selection.toString(), 'fg', 'toString()');
+});
+
+RangeIECheck.add('Added ranges are forwards', 'abcdefgh', function(t) {
+    var range;
+    t.selection().collapse(t.node(0), 8);
+    t.selection().addRange(t.range(t.node(0), 2, t.node(0), 8));
+    t.equal(t.selection().anchorOffset, 2, 'anchorOffset');
+    t.equal(t.selection().focusOffset, 8, 'focusOffset');
+    t.selection().collapse(t.node(0), 6);
+    t.selection().extend(t.node(0), 1);
+    range = t.selection().getRangeAt(0);
+    t.selection().removeAllRanges();
+    t.selection().addRange(range);
+    t.equal(t.selection().anchorOffset, 6, 'Backwards anchorOffset');
+    t.equal(t.selection().focusOffset, 1, 'Backwards focusOffset');
+    range.detach();
+});
+
+RangeIECheck.add('Selection listeners are called', 'abcdef', function(t) {
+    var calls, event;
+    calls = [];
+    function listener(selection) {
+        calls.push(selection);
+    }
+    RangeIE.SelectionEvents.add(t.editor, listener);
+    t.selection().collapse(t.node(0), 4);
+    event = t.document.createEvent('Event');
+    event.initEvent('keyup', true, true);
+    t.editor.dispatchEvent(event);
+    t.editor.dispatchEvent(event);
+    RangeIE.SelectionEvents.remove(t.editor, listener);
+    t.equal(calls.length, 1, 'Calls');
+    if (calls.length > 0) {
+        t.equal(calls[0].anchorOffset, 4, 'anchorOffset');
+    }
+});
+
+RangeIECheck.add('Ranges stay live', 'abcd<b>ef</b>gh', function(t) {
+    var range;
+    range = t.range(t.node(0), 1, t.node(2), 1);
+    RangeIE.Mutation.insertData(t.node(0), 0, 'XX');
+    t.equal(range.startOffset, 3, 'startOffset after insertData');
+    t.equal(range.toString(), 'bcdefg', 'toString() after insertData');
+    RangeIE.Mutation.removeChild(t.editor, t.node(1));
+    t.equal(range.toString(), 'bcdg', 'toString() after removeChild');
+    RangeIE.Mutation.splitText(t.node(0), 4);
+    t.equal(range.startContainer, t.node(0), 'startContainer after split');
+    t.equal(range.toString(), 'bcdg', 'toString() after splitText');
+    range.detach();
+});
+
+RangeIECheck.add('Only ranges which moved are rebuilt', 'ab<b>cd</b>ef',
+                 function(t) {
+    var before, after, textRange, holder, inside;
+    before = t.range(t.node(0), 0, t.node(0), 1);
+    after = t.range(t.node(2), 1, t.node(2), 2);
+    textRange = before._range;
+    RangeIE.Mutation.insertData(t.node(2), 0, 'XX');
+    t.equal(before._range, textRange, 'TextRange of a range before');
+    t.equal(after.startOffset, 3, 'startOffset of a range after');
+    t.equal(after.toString(), 'f', 'toString() of a range after');
+    holder = t.document.createElement('div');
+    holder.innerHTML = 'gh';
+    t.editor.appendChild(holder);
+    inside = RangeIE.createRange({
+        root : holder
+    });
+    inside.selectNodeContents(holder.firstChild);
+    t.editor.removeChild(holder);
+    RangeIE.Mutation.refresh();
+    t.equal(after.toString(), 'f', 'toString() after refresh');
+    t.equal(inside.toString(), 'gh', 'toString() of a removed root');
+    before.detach();
+    after.detach();
+    inside.detach();
+});
+
+RangeIECheck.add('Offsets in comments are kept', 'ab<!--cmnt-->cd',
+                 function(t) {
+    var range;
+    range = t.range(t.node(1), 2, t.node(1), 4);
+    RangeIE.Mutation.appendChild(t.editor,
+                               t.document.createTextNode('e'));
+    t.equal(range.startOffset, 2, 'startOffset after appendChild');
+    t.equal(range.endOffset, 4, 'endOffset after appendChild');
+    range.setStart(t.node(1), 1);
+    range.setEnd(t.node(1), 2);
+    range.deleteContents();
+    t.equal(range.startOffset, 1, 'startOffset after deleteContents');
+    t.equal(t.node(1).data, 'cnt', 'Comment after deleteContents');
+    range.selectNodeContents(t.node(1));
+    t.equal(range.endOffset, 3, 'endOffset of selectNodeContents()');
+    range.detach();
+});
+
+RangeIECheck.add('Ranges of the selection stay live', 'hello world',
+                 function(t) {
+    var range;
+    t.selection().addRange(t.range(t.node(0), 2, t.node(0), 7));
+    range = t.selection().getRangeAt(0);
+    t.selection();
+    RangeIE.Mutation.insertData(t.node(0), 0, 'XX');
+    t.equal(range.startOffset, 4, 'startOffset after insertData');
+    t.equal(range.toString(), 'llo w', 'toString() after insertData');
+    range.detach();
+});
+
+RangeIECheck.add('Selections are saved as bookmarks', 'ab<b>cd</b>ef',
+                 function(t) {
+    var bookmark;
+    t.selection().collapse(t.node(1, 0), 1);
+    t.selection().extend(t.node(0), 1);
+    bookmark = RangeIE.Bookmark.deserialize(
+        RangeIE.Bookmark.serialize(RangeIE.saveSelection(t.editor))
+    );
+    t.editor.innerHTML = 'ab<b>cd</b>ef';
+    RangeIE.Mutation.refresh();
+    RangeIE.restoreSelection(bookmark, t.editor);
+    t.equal(t.selection().toString(), 'bc', 'Restored selection');
+    t.equal(t.selection().anchorNode, t.node(1, 0), 'anchorNode');
+    t.equal(t.selection().anchorOffset, 1, 'anchorOffset');
+    t.selection().removeAllRanges();
+    t.equal(RangeIE.saveSelection(t.editor), null,
+            'Bookmark of an empty selection');
+    t.selection().collapse(t.node(0), 1);
+    t.equal(RangeIE.restoreSelection(null, t.editor), false,
+            'Restoring a null bookmark');
+    t.equal(t.selection().anchorOffset, 1, 'anchorOffset after a null one');
+});
+
+RangeIECheck.add('Ranges are bound to their root', 'abc', function(t) {
+    var range;
+    range = t.range();
+    range.selectNodeContents(t.editor);
+    t.equal(range.toString(), 'abc', 'toString()');
+    t.selection().addRange(range);
+    t.document.body.focus();
+    t.equal(RangeIE.saveSelection(t.editor).end.chars, 3, 'Bookmark end');
+});
+
+RangeIECheck.add('Blocks and images are read as rendered',
+                 '<p>ab</p><p>c<img />d</p>', function(t) {
+    var range, holder;
+    range = t.range(t.node(0, 0), 1, t.node(1, 2), 1);
+    t.selection().addRange(range);
+    t.equal(t.selection().toString(), 'b\r\ncd', 'Selection toString()');
+    t.equal(range.toString(), 'bcd', 'Range toString()');
+    range.selectNode(t.node(1, 1));
+    t.selection().addRange(range);
+    range = t.selection().getRangeAt(0);
+    holder = t.document.createElement('div');
+    holder.appendChild(range.cloneContents());
+    t.equal(holder.innerHTML.toLowerCase(), '<img>', 'Selected image');
+});
+
+RangeIECheck.add('Geometry is reported', 'abc', function(t) {
+    var range, rect;
+    range = t.range(t.node(0), 0, t.node(0), 2);
+    rect = range.getBoundingClientRect();
+    t.equal(typeof rect.left + typeof rect.width, 'numbernumber',
+            'Bounding rectangle');
+    t.equal(typeof range.getClientRects().length, 'number',
+            'Client rectangles');
+});
+
+RangeIECheck.add('Positions are found in long content', '', function(t) {
+    var html, range, i;
+    html = '';
+    for (i = 0; i < 200; i++) {
+        html += 'text' + i + ' <b>bold' + i + '</b> ';
+    }
+    t.editor.innerHTML = html;
+    RangeIE.Mutation.refresh();
+    for (i = 1; i < 400; i += 36) {
+        t.selection().addRange(t.range(t.node(i, 0), 2, t.node(i, 0), 2));
+        range = t.selection().getRangeAt(0);
+        t.equal(range.startOffset, 2, 'startOffset in node ' + i);
+    }
+});
+
+RangeIECheck.add('Whitespace is collapsed as IE renders it',
+                 '\n  Hello   <b> big </b>  world\n<p>  para  two </p>' +
+                 'x <br /> y<pre>a  b</pre>', function(t) {
+    var range;
+    range = RangeIE.backend.createRange(t.document);
+    range.moveToElementText(t.editor);
+    t.equal(range.text, 'Hello big world\r\npara two\r\nx\r\ny\r\na  b',
+            'Rendered text');
+});
+
+RangeIECheck.add('Errors are DOMExceptions', 'abc', function(t) {
+    var range, error;
+    range = t.range();
+    t.throws(function() {
+        range.setStart(t.node(0), 4);
+    }, 'IndexSizeError', 'Offset past the end');
+    t.throws(function() {
+        range.compareBoundaryPoints(4, range);
+    }, 'NotSupportedError', 'Unknown comparison');
+    range.detach();
+    t.throws(function() {
+        range.selectNode(t.node(0));
+    }, 'InvalidStateError', 'Detached range');
+    error = new RangeIE.DOMException(RangeIE.DOMException.SYNTAX_ERR, 'x');
+    if (typeof error.stack === 'string') {
+        t.equal(error.stack.indexOf(error.message) !== -1, true,
+                'Stack of the error');
+    }
+});
+
+RangeIECheck.add('Classes are applied', 'hello world', function(t) {
+    var applier, range;
+    applier = new RangeIE.ClassApplier('hl');
+    range = t.range(t.node(0), 2, t.node(0), 7);
+    applier.applyToRange(range);
+    t.equal(t.editor.innerHTML, 'he<span class="hl">llo w</span>orld',
+            'Applied');
+    t.equal(range.toString(), 'llo w', 'Range toString()');
+    t.equal(applier.isAppliedToRange(range), true, 'isAppliedToRange');
+    applier.toggleRange(range);
+    t.equal(t.editor.innerHTML, 'hello world', 'Toggled off');
+    range.detach();
+});
+
+RangeIECheck.add('Classes are applied to the selection', 'hello world',
+                 function(t) {
+    var applier, range;
+    applier = new RangeIE.ClassApplier('hl');
+    t.selection().addRange(t.range(t.node(0), 2, t.node(0), 7));
+    range = t.selection().getRangeAt(0);
+    applier.applyToRange(range);
+    t.equal(t.editor.innerHTML, 'he<span class="hl">llo w</span>orld',
+            'Applied');
+    t.equal(t.selection().toString(), 'llo w', 'Selection after applying');
+    applier.undoToRange(t.selection().getRangeAt(0));
+    t.equal(t.editor.innerHTML, 'hello world', 'Undone');
+    applier.toggleRange(t.selection().getRangeAt(0));
+    t.equal(t.editor.innerHTML, 'he<span class="hl">llo w</span>orld',
+            'Toggled');
+    t.equal(t.selection().toString(), 'llo w', 'Selection after toggling');
+});
+
+RangeIECheck.add('Text is found and highlighted',
+                 'The cat <b>sat</b> on the c<i>at</i> mat', function(t) {
+    var matches, i;
+    matches = RangeIE.findAll(t.editor, 'cat', {
+        highlight : true
+    });
+    t.equal(matches.length, 2, 'Matches');
+    t.equal(t.editor.getElementsByTagName('span').length, 3,
+            'Highlights');
+    t.equal(RangeIE.find(t.editor, 'sat on').toString(), 'sat on',
+            'Match across elements');
+    RangeIE.Search.unmark(t.editor);
+    t.equal(t.editor.getElementsByTagName('span').length, 0,
+            'Highlights after unmark');
+    for (i = 0; i < matches.length; i++) {
+        matches[i].detach();
+    }
+});
+
+// Run headless with Node when this file is not loaded by a page
+if (typeof window === 'undefined' && typeof require === 'function') {
+    (function() {
+        var fs, path, jsdom, dom, files, failures, i;
+        fs = require('fs');
+        path = require('path');
+        jsdom = require('jsdom');
+        dom = new jsdom.JSDOM('<!DOCTYPE html><html><body></body></html>', {
+            runScripts : 'outside-only'
+        });
+        files = ['rangeie.js', 'rangeie-dom.js', 'rangeie-dom-check.js'];
+        for (i = 0; i < files.length; i++) {
+            dom.window.eval(fs.readFileSync(path.join(__dirname, files[i]),
+                                            'utf8'));
+        }
+        failures = dom.window.RangeIECheck.run(dom.window.document);
+        for (i = 0; i < failures.length; i++) {
+            console.log(failures[i]);
+        }
+        console.log(failures.length === 0 ? 'All checks passed' :
+                    failures.length + ' checks failed');
+        process.exitCode = (failures.length === 0) ? 0 : 1;
+    }());
+}
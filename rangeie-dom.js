@@ -0,0 +1,885 @@
+/**
+ * RangeIE DOM Backend
+ *
+ * Emulates IE's TextRange and document selection over a standard DOM
+ * tree, so that RangeIE can be run and checked outside of IE. Load it
+ * after rangeie.js, then switch backends:
+ *
+ *   RangeIE.backend = RangeIE.DomBackend;
+ *
+ * Author: Brendon Crawford <brendon at aphexcreations dot net>
+ * Homepage: http://github.com/brendoncrawford/rangeie/
+ *
+ * License
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * DomBackend
+ *
+ * The text of a document is divided into character units, as IE does:
+ * one for each character of a text node, one for each br, image or
+ * other element which can not hold content, and one for the line break
+ * between a block element and its neighbours. Whitespace is collapsed
+ * as IE renders it: a run of whitespace is a single space, and none at
+ * the start or end of a line, except within pre elements. The emulated
+ * document selection is kept apart from any native selection.
+ */
+RangeIE.DomBackend = {
+
+    /**
+     * Emulated selection of each document
+     *
+     * @private
+     * @type {Object[Document document, RangeIE.DomTextRange range][]}
+     */
+    _selections : [],
+
+    /**
+     * Determines if the backend can work with a document
+     *
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    isSupported : function(doc) {
+        return (doc.createRange !== undefined);
+    },
+
+    /**
+     * Creates a TextRange containing the body of a document
+     *
+     * @param {Document} doc
+     * @return {RangeIE.DomTextRange}
+     */
+    createRange : function(doc) {
+        var range;
+        range = new RangeIE.DomTextRange(doc);
+        range.moveToElementText(doc.body);
+        return range;
+    },
+
+    /**
+     * Creates a TextRange holding the document selection. Like IE, an
+     * empty selection gives a collapsed range at the start of the body.
+     *
+     * @param {Document} doc
+     * @return {RangeIE.DomTextRange}
+     */
+    getSelectionRange : function(doc) {
+        var entry;
+        entry = this._getSelection(doc);
+        if (entry.range === null) {
+            return new RangeIE.DomTextRange(doc);
+        }
+        return entry.range.duplicate();
+    },
+
+    /**
+     * Clears the document selection
+     *
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    emptySelection : function(doc) {
+        this._getSelection(doc).range = null;
+        return true;
+    },
+
+    /**
+     * Gets the emulated selection of a document
+     *
+     * @private
+     * @param {Document} doc
+     * @return {Object[Document document, RangeIE.DomTextRange range]}
+     */
+    _getSelection : function(doc) {
+        var i, entry;
+        for (i = 0; i < this._selections.length; i++) {
+            if (this._selections[i].document === doc) {
+                return this._selections[i];
+            }
+        }
+        entry = {
+            document : doc,
+            range : null
+        };
+        this._selections.push(entry);
+        return entry;
+    },
+
+    /**
+     * Divides the body of a document into character units
+     *
+     * @private
+     * @param {Document} doc
+     * @return {Object[HTMLElement startNode, Int startOffset,
+     *                 HTMLElement endNode, Int endOffset, String text,
+     *                 String character][]}
+     */
+    _getUnits : function(doc) {
+        var units, pending, space, lineStart, self;
+        units = [];
+        pending = null;
+        space = null;
+        lineStart = true;
+        self = this;
+        // Line breaks around blocks are only added between content, and
+        // are placed at the first block boundary after the content before
+        // them. A collapsed space is likewise held back until content
+        // follows it on the same line.
+        function add(unit) {
+            if (pending !== null && units.length > 0) {
+                units.push({
+                    startNode : pending.node,
+                    startOffset : pending.offset,
+                    endNode : pending.node,
+                    endOffset : pending.offset,
+                    text : '\r\n',
+                    character : '\n'
+                });
+            }
+            if (space !== null) {
+                units.push(space);
+            }
+            pending = null;
+            space = null;
+            lineStart = false;
+            units.push(unit);
+        }
+        function cross(node, offset) {
+            if (pending === null) {
+                pending = {
+                    node : node,
+                    offset : offset
+                };
+            }
+            space = null;
+            lineStart = true;
+        }
+        function addText(node, pre) {
+            var j, c;
+            for (j = 0; j < node.length; j++) {
+                c = node.data.charAt(j);
+                if (pre || !RangeIE.Position._isCollapsible(c)) {
+                    add({
+                        startNode : node,
+                        startOffset : j,
+                        endNode : node,
+                        endOffset : j + 1,
+                        text : c,
+                        character : c
+                    });
+                }
+                else if (!lineStart && space === null) {
+                    space = {
+                        startNode : node,
+                        startOffset : j,
+                        endNode : node,
+                        endOffset : j + 1,
+                        text : ' ',
+                        character : ' '
+                    };
+                }
+            }
+        }
+        function walk(node, pre) {
+            var child, i, block;
+            for (i = 0; i < node.childNodes.length; i++) {
+                child = node.childNodes[i];
+                if (child.nodeType === 3) {
+                    addText(child, pre);
+                }
+                else if (child.nodeType === 1 && self._isAtomic(child)) {
+                    if (self._isBreak(child)) {
+                        space = null;
+                    }
+                    add({
+                        startNode : node,
+                        startOffset : i,
+                        endNode : node,
+                        endOffset : i + 1,
+                        text : self._isBreak(child) ? '\r\n' : '',
+                        character : self._isBreak(child) ? '\n' : '\ufffc'
+                    });
+                    lineStart = self._isBreak(child);
+                }
+                else if (child.nodeType === 1) {
+                    block = RangeIE.Position._isBlock(child);
+                    if (block) {
+                        cross(child, 0);
+                    }
+                    walk(child, pre || self._isPre(child));
+                    if (block) {
+                        cross(node, i + 1);
+                    }
+                }
+            }
+        }
+        walk(doc.body, false);
+        return units;
+    },
+
+    /**
+     * Determines if an element takes up a single character unit
+     *
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _isAtomic : function(node) {
+        var atomic;
+        atomic = /^(br|img|hr|input|select|textarea|button|object|embed)$/i;
+        return (atomic.test(node.nodeName) ||
+                node.nodeName.toLowerCase() === 'iframe');
+    },
+
+    /**
+     * Determines if an element is a line break
+     *
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _isBreak : function(node) {
+        return (node.nodeName.toLowerCase() === 'br');
+    },
+
+    /**
+     * Determines if an element keeps its whitespace as written
+     *
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _isPre : function(node) {
+        return (/^(pre|xmp|listing|plaintext)$/i).test(node.nodeName);
+    }
+
+};
+
+/**
+ * DomTextRange
+ *
+ * TextRange emulation holding a standard DOM Range. Positions are
+ * compared and moved by character unit index, so that points which are
+ * separate in the DOM but at the same place in the text are equal, as
+ * they are in IE.
+ *
+ * @constructor
+ * @param {Document} doc
+ */
+RangeIE.DomTextRange = function(doc) {
+    this._document = doc;
+    this._range = doc.createRange();
+    this._range.setStart(doc.body, 0);
+    this._range.collapse(true);
+};
+
+/**
+ * DomTextRange Instance Methods
+ */
+RangeIE.DomTextRange.prototype = {
+
+    /**
+     * @return {RangeIE.DomTextRange}
+     */
+    duplicate : function() {
+        var range;
+        range = new RangeIE.DomTextRange(this._document);
+        range._range = this._range.cloneRange();
+        return range;
+    },
+
+    /**
+     * @param {Bool} toStart
+     *        Defaults to true
+     * @return {Bool}
+     */
+    collapse : function(toStart) {
+        this._range.collapse(toStart === undefined ? true : !!toStart);
+        return true;
+    },
+
+    /**
+     * @param {HTMLElement} element
+     * @throws {Error}
+     *         If element is not an element
+     * @return {Bool}
+     */
+    moveToElementText : function(element) {
+        if (element.nodeType !== 1) {
+            throw (new Error('Invalid argument.'));
+        }
+        this._range.selectNodeContents(element);
+        return true;
+    },
+
+    /**
+     * @param {String} how
+     *        StartToStart, StartToEnd, EndToStart or EndToEnd
+     * @param {RangeIE.DomTextRange} source
+     * @return {Bool}
+     */
+    setEndPoint : function(how, source) {
+        var point;
+        point = source._getPoint(how.indexOf('ToStart') !== -1);
+        this._setPoint(how.indexOf('Start') === 0, point.node, point.offset);
+        return true;
+    },
+
+    /**
+     * @param {String} how
+     *        StartToStart, StartToEnd, EndToStart or EndToEnd
+     * @param {RangeIE.DomTextRange} source
+     * @return {Int}
+     */
+    compareEndPoints : function(how, source) {
+        var a, b;
+        a = this._getIndex(how.indexOf('Start') === 0);
+        b = source._getIndex(how.indexOf('ToStart') !== -1);
+        if (a < b) {
+            return -1;
+        }
+        return (a > b) ? 1 : 0;
+    },
+
+    /**
+     * Collapses the range to its start and moves it
+     *
+     * @param {String} unit
+     *        character, word, sentence or textedit
+     * @param {Int} count
+     * @return {Int}
+     *         Number of units moved
+     */
+    move : function(unit, count) {
+        var moved;
+        this.collapse(true);
+        moved = this._moveEdge(true, unit, count === undefined ? 1 : count);
+        this.collapse(true);
+        return moved;
+    },
+
+    /**
+     * @param {String} unit
+     * @param {Int} count
+     * @return {Int}
+     */
+    moveStart : function(unit, count) {
+        return this._moveEdge(true, unit, count === undefined ? 1 : count);
+    },
+
+    /**
+     * @param {String} unit
+     * @param {Int} count
+     * @return {Int}
+     */
+    moveEnd : function(unit, count) {
+        return this._moveEdge(false, unit, count === undefined ? 1 : count);
+    },
+
+    /**
+     * @param {String} unit
+     * @return {Bool}
+     */
+    expand : function(unit) {
+        var text, index, start, end;
+        text = this._getText();
+        index = Math.min(this._getIndex(true) + 1, text.length);
+        start = this._step(text, unit, index, -1);
+        end = this._step(text, unit, start, 1);
+        this._setIndex(true, start);
+        this._setIndex(false, end);
+        return true;
+    },
+
+    /**
+     * Moves the collapsed range to the caret position under a point
+     *
+     * @param {Int} x
+     * @param {Int} y
+     * @throws {Error}
+     *         If there is no text at the point
+     * @return {Bool}
+     */
+    moveToPoint : function(x, y) {
+        var doc, caret;
+        doc = this._document;
+        if (doc.caretRangeFromPoint !== undefined) {
+            caret = doc.caretRangeFromPoint(x, y);
+            if (caret !== null) {
+                this._range.setStart(caret.startContainer, caret.startOffset);
+                this._range.collapse(true);
+                return true;
+            }
+        }
+        else if (doc.caretPositionFromPoint !== undefined) {
+            caret = doc.caretPositionFromPoint(x, y);
+            if (caret !== null) {
+                this._range.setStart(caret.offsetNode, caret.offset);
+                this._range.collapse(true);
+                return true;
+            }
+        }
+        throw (new Error('Invalid argument.'));
+    },
+
+    /**
+     * @return {HTMLElement}
+     */
+    parentElement : function() {
+        var node;
+        node = this._range.commonAncestorContainer;
+        while (node.nodeType !== 1) {
+            node = node.parentNode;
+        }
+        return node;
+    },
+
+    /**
+     * @param {RangeIE.DomTextRange} other
+     * @return {Bool}
+     */
+    inRange : function(other) {
+        return (this.compareEndPoints('StartToStart', other) <= 0 &&
+                this.compareEndPoints('EndToEnd', other) >= 0);
+    },
+
+    /**
+     * @param {RangeIE.DomTextRange} other
+     * @return {Bool}
+     */
+    isEqual : function(other) {
+        return (this.compareEndPoints('StartToStart', other) === 0 &&
+                this.compareEndPoints('EndToEnd', other) === 0);
+    },
+
+    /**
+     * Replaces the contents of the range with HTML, and collapses the
+     * range after it
+     *
+     * @param {String} html
+     * @return {Bool}
+     */
+    pasteHTML : function(html) {
+        var holder, frag, last;
+        holder = this._document.createElement('div');
+        holder.innerHTML = html;
+        frag = this._document.createDocumentFragment();
+        while (holder.firstChild !== null) {
+            frag.appendChild(holder.firstChild);
+        }
+        last = frag.lastChild;
+        this._range.deleteContents();
+        this._range.insertNode(frag);
+        if (last !== null) {
+            this._range.setStartAfter(last);
+        }
+        this._range.collapse(true);
+        return true;
+    },
+
+    /**
+     * Searches for text within the range, or from a collapsed range to
+     * the end of the body, and moves the range to the first match
+     *
+     * @param {String} str
+     * @param {Int} count
+     *        Negative to search backwards
+     * @param {Int} flags
+     *        2 to match whole words, 4 to match case
+     * @return {Bool}
+     */
+    findText : function(str, count, flags) {
+        var text, haystack, needle, start, end, backwards, i;
+        text = this._getText();
+        start = this._getIndex(true);
+        end = this._getIndex(false);
+        backwards = (count < 0);
+        if (start === end) {
+            if (backwards) {
+                start = 0;
+            }
+            else {
+                end = text.length;
+            }
+        }
+        haystack = (flags & 4) ? text : text.toLowerCase();
+        needle = (flags & 4) ? str : str.toLowerCase();
+        if (needle.length === 0) {
+            return false;
+        }
+        for (i = (backwards ? end - needle.length : start);
+                i >= start && i <= end - needle.length;
+                i += (backwards ? -1 : 1)) {
+            if (haystack.substr(i, needle.length) === needle &&
+                    (!(flags & 2) || this._isWord(text, i, needle.length))) {
+                this._setIndex(true, i);
+                this._setIndex(false, i + needle.length);
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Runs a document command on the range. The range is selected
+     * natively first, where the DOM supports it.
+     *
+     * @param {String} command
+     * @param {Bool} showUI
+     * @param {String} value
+     * @return {Bool}
+     */
+    execCommand : function(command, showUI, value) {
+        var win, selection;
+        win = this._document.defaultView;
+        if (win === null || win === undefined ||
+                win.getSelection === undefined ||
+                this._document.execCommand === undefined) {
+            return false;
+        }
+        selection = win.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(this._range.cloneRange());
+        return !!this._document.execCommand(command, !!showUI, value);
+    },
+
+    /**
+     * Makes the range the emulated document selection
+     *
+     * @return {Bool}
+     */
+    select : function() {
+        RangeIE.DomBackend._getSelection(this._document).range =
+            this.duplicate();
+        return true;
+    },
+
+    /**
+     * @return {Bool}
+     */
+    scrollIntoView : function() {
+        return true;
+    },
+
+    /**
+     * Gets the rectangles of the range, where the DOM supports layout
+     *
+     * @return {Object[]}
+     */
+    getClientRects : function() {
+        if (this._range.getClientRects === undefined) {
+            return [];
+        }
+        return this._range.getClientRects();
+    },
+
+    /**
+     * Gets the bounding rectangle of the range, where the DOM supports
+     * layout
+     *
+     * @private
+     * @return {Object[Int left, Int top, Int width, Int height]}
+     */
+    _getBounds : function() {
+        var rect;
+        if (this._range.getBoundingClientRect === undefined) {
+            return {
+                left : 0,
+                top : 0,
+                width : 0,
+                height : 0
+            };
+        }
+        rect = this._range.getBoundingClientRect();
+        return {
+            left : rect.left,
+            top : rect.top,
+            width : rect.right - rect.left,
+            height : rect.bottom - rect.top
+        };
+    },
+
+    /**
+     * Gets the HTML of the contents of the range
+     *
+     * @private
+     * @return {String}
+     */
+    _getHtmlText : function() {
+        var holder;
+        holder = this._document.createElement('div');
+        holder.appendChild(this._range.cloneContents());
+        return holder.innerHTML;
+    },
+
+    /**
+     * Gets the text of the character units within the range
+     *
+     * @private
+     * @return {String}
+     */
+    _getRangeText : function() {
+        var units, start, end, ret, i;
+        units = RangeIE.DomBackend._getUnits(this._document);
+        start = this._getIndex(true);
+        end = this._getIndex(false);
+        ret = '';
+        for (i = start; i < end; i++) {
+            ret += units[i].text;
+        }
+        return ret;
+    },
+
+    /**
+     * Gets one character for each unit of the body, for searching and
+     * moving by word or sentence
+     *
+     * @private
+     * @return {String}
+     */
+    _getText : function() {
+        var units, ret, i;
+        units = RangeIE.DomBackend._getUnits(this._document);
+        ret = '';
+        for (i = 0; i < units.length; i++) {
+            ret += units[i].character;
+        }
+        return ret;
+    },
+
+    /**
+     * Determines if a match in text is a whole word
+     *
+     * @private
+     * @param {String} text
+     * @param {Int} index
+     * @param {Int} length
+     * @return {Bool}
+     */
+    _isWord : function(text, index, length) {
+        return (!/\w/.test(text.charAt(index - 1)) &&
+                !/\w/.test(text.charAt(index + length)));
+    },
+
+    /**
+     * Gets one end of the range
+     *
+     * @private
+     * @param {Bool} isStart
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _getPoint : function(isStart) {
+        return {
+            node : isStart ? this._range.startContainer :
+                             this._range.endContainer,
+            offset : isStart ? this._range.startOffset :
+                               this._range.endOffset
+        };
+    },
+
+    /**
+     * Sets one end of the range, moving the other end along if they
+     * would cross
+     *
+     * @private
+     * @param {Bool} isStart
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @return {Bool}
+     */
+    _setPoint : function(isStart, node, offset) {
+        var range;
+        range = this._document.createRange();
+        range.setStart(node, offset);
+        if (isStart) {
+            if (range.comparePoint(this._range.endContainer,
+                                   this._range.endOffset) < 0) {
+                this._range.setEnd(node, offset);
+            }
+            this._range.setStart(node, offset);
+        }
+        else {
+            if (range.comparePoint(this._range.startContainer,
+                                   this._range.startOffset) > 0) {
+                this._range.setStart(node, offset);
+            }
+            this._range.setEnd(node, offset);
+        }
+        return true;
+    },
+
+    /**
+     * Gets the number of character units before one end of the range
+     *
+     * @private
+     * @param {Bool} isStart
+     * @return {Int}
+     */
+    _getIndex : function(isStart) {
+        var units, point, range, i;
+        units = RangeIE.DomBackend._getUnits(this._document);
+        point = this._getPoint(isStart);
+        range = this._document.createRange();
+        range.setStart(point.node, point.offset);
+        for (i = 0; i < units.length; i++) {
+            if (range.comparePoint(units[i].endNode,
+                                   units[i].endOffset) > 0) {
+                break;
+            }
+        }
+        return i;
+    },
+
+    /**
+     * Sets one end of the range after a number of character units
+     *
+     * @private
+     * @param {Bool} isStart
+     * @param {Int} index
+     * @return {Bool}
+     */
+    _setIndex : function(isStart, index) {
+        var units, unit;
+        units = RangeIE.DomBackend._getUnits(this._document);
+        if (index <= 0 || units.length === 0) {
+            if (units.length === 0) {
+                this._setPoint(isStart, this._document.body, 0);
+            }
+            else {
+                this._setPoint(isStart, units[0].startNode,
+                               units[0].startOffset);
+            }
+            return true;
+        }
+        unit = units[Math.min(index, units.length) - 1];
+        this._setPoint(isStart, unit.endNode, unit.endOffset);
+        return true;
+    },
+
+    /**
+     * Moves one end of the range by a number of units
+     *
+     * @private
+     * @param {Bool} isStart
+     * @param {String} unit
+     * @param {Int} count
+     * @return {Int}
+     */
+    _moveEdge : function(isStart, unit, count) {
+        var text, index, next, moved, step;
+        text = this._getText();
+        index = this._getIndex(isStart);
+        step = (count > 0) ? 1 : -1;
+        moved = 0;
+        while (moved !== count) {
+            next = this._step(text, unit, index, step);
+            if (next === index) {
+                break;
+            }
+            index = next;
+            moved += step;
+        }
+        if (moved !== 0) {
+            this._setIndex(isStart, index);
+        }
+        return moved;
+    },
+
+    /**
+     * Gets the index one unit away from an index
+     *
+     * @private
+     * @param {String} text
+     * @param {String} unit
+     * @param {Int} index
+     * @param {Int} step
+     *        1 or -1
+     * @return {Int}
+     */
+    _step : function(text, unit, index, step) {
+        var boundary, i;
+        if (unit === 'character') {
+            return Math.max(0, Math.min(text.length, index + step));
+        }
+        if (unit === 'textedit') {
+            return (step > 0) ? text.length : 0;
+        }
+        boundary = (unit === 'word') ? /[\s\ufffc]/ : /[.!?\n]/;
+        i = index;
+        if (step > 0) {
+            while (i < text.length && !boundary.test(text.charAt(i))) {
+                i++;
+            }
+            while (i < text.length && /\s/.test(text.charAt(i))) {
+                i++;
+            }
+            if (i === index && i < text.length) {
+                i++;
+            }
+            return i;
+        }
+        if (i <= 0) {
+            return 0;
+        }
+        i--;
+        while (i > 0 && /\s/.test(text.charAt(i))) {
+            i--;
+        }
+        while (i > 0 && !boundary.test(text.charAt(i - 1))) {
+            i--;
+        }
+        return i;
+    }
+
+};
+
+/**
+ * DomTextRange properties, which IE computes whenever they are read
+ */
+(function() {
+    var proto, getters, name;
+    proto = RangeIE.DomTextRange.prototype;
+    getters = {
+        text : function() {
+            return this._getRangeText();
+        },
+        htmlText : function() {
+            return this._getHtmlText();
+        },
+        boundingLeft : function() {
+            return this._getBounds().left;
+        },
+        boundingTop : function() {
+            return this._getBounds().top;
+        },
+        boundingWidth : function() {
+            return this._getBounds().width;
+        },
+        boundingHeight : function() {
+            return this._getBounds().height;
+        }
+    };
+    for (name in getters) {
+        if (getters.hasOwnProperty(name)) {
+            Object.defineProperty(proto, name, {
+                get : getters[name],
+                configurable : true
+            });
+        }
+    }
+}());
@@ -28,20 +28,201 @@
 
 RangeIE = {};
 
+/**
+ * IEBackend
+ * 
+ * RangeIE creates every TextRange it uses through RangeIE.backend, so
+ * that another implementation of TextRange can be put in place of IE's
+ * own, such as RangeIE.DomBackend from rangeie-dom.js. A backend has
+ * the methods below. The TextRanges it returns must provide duplicate,
+ * collapse, moveToElementText, setEndPoint, compareEndPoints, move,
+ * moveStart, moveEnd, moveToPoint, parentElement, findText, pasteHTML,
+ * execCommand, select, getClientRects, and the text, htmlText and
+ * bounding properties, as IE does.
+ */
+RangeIE.IEBackend = {
+
+    /**
+     * Determines if the backend can work with a document
+     * 
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    isSupported : function(doc) {
+        return (doc.selection !== undefined);
+    },
+
+    /**
+     * Creates a TextRange containing the body of a document
+     * 
+     * @param {Document} doc
+     * @return {TextRange}
+     */
+    createRange : function(doc) {
+        return doc.body.createTextRange();
+    },
+
+    /**
+     * Creates a TextRange holding the document selection. A control
+     * range is returned when an object such as an image is selected.
+     * 
+     * @param {Document} doc
+     * @return {TextRange|ControlRange}
+     */
+    getSelectionRange : function(doc) {
+        return doc.selection.createRange();
+    },
+
+    /**
+     * Clears the document selection
+     * 
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    emptySelection : function(doc) {
+        doc.selection.empty();
+        return true;
+    }
+
+};
+
+/**
+ * TextRange backend in use
+ * 
+ * @type {Object}
+ */
+RangeIE.backend = RangeIE.IEBackend;
+
 /**
  * Selection
  * 
+ * The anchorNode, anchorOffset, focusNode, focusOffset, isCollapsed and
+ * rangeCount properties are read from the document selection when the
+ * Selection is created or returned by RangeIE.getSelection, and are
+ * updated by each Selection method.
+ * 
  * @constructor
  * @see https://developer.mozilla.org/en/DOM/window.getSelection
+ * @param {Document} doc
+ *        Optional. Defaults to the document RangeIE was loaded in.
  */
-RangeIE.Selection = function() {
-    var range;
+RangeIE.Selection = function(doc) {
+    if (doc === undefined || doc === null) {
+        doc = window.document;
+    }
+    this._document = doc;
     this._ranges = [];
-    if (this._ranges.length === 0) {
-        range = new RangeIE.Range;
-        range._refresh();
-        this.addRange(range);
+    this._backwards = false;
+    this._owned = null;
+    this._refresh();
+};
+
+/**
+ * Gets the Selection object for a document. The same object is
+ * returned on every call for a document, refreshed from the document
+ * selection.
+ * 
+ * @see https://developer.mozilla.org/en/DOM/window.getSelection
+ * @param {Document} doc
+ *        Optional. Defaults to the document RangeIE was loaded in.
+ * @return {RangeIE.Selection}
+ */
+RangeIE.getSelection = function(doc) {
+    var selection;
+    if (doc === undefined || doc === null) {
+        doc = window.document;
+    }
+    selection = RangeIE._findSelection(doc);
+    if (selection !== null) {
+        selection._refresh();
+        return selection;
+    }
+    selection = new RangeIE.Selection(doc);
+    RangeIE._selections.push(selection);
+    return selection;
+};
+
+/**
+ * Gets the Selection object returned by RangeIE.getSelection for a
+ * document, without reading the document selection again
+ * 
+ * @private
+ * @param {Document} doc
+ * @return {RangeIE.Selection|null}
+ */
+RangeIE._findSelection = function(doc) {
+    var i;
+    for (i = 0; i < RangeIE._selections.length; i++) {
+        if (RangeIE._selections[i]._document === doc) {
+            return RangeIE._selections[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Selection objects returned by RangeIE.getSelection
+ * 
+ * @private
+ * @type {RangeIE.Selection[]}
+ */
+RangeIE._selections = [];
+
+/**
+ * Saves the document selection as a bookmark, which can be restored
+ * after the contents of root have been replaced with equivalent nodes.
+ * 
+ * @param {HTMLElement} root
+ * @return {Object|null}
+ *         Plain object which can be stored as JSON, or as a string using
+ *         RangeIE.Bookmark.serialize. Null if the selection is not
+ *         within root.
+ */
+RangeIE.saveSelection = function(root) {
+    var selection, bookmark;
+    selection = RangeIE.getSelection(root.ownerDocument);
+    if (selection.rangeCount === 0) {
+        return null;
+    }
+    bookmark = selection._ranges[0].toBookmark(root);
+    if (bookmark === null) {
+        return null;
+    }
+    bookmark.backwards = selection._backwards;
+    return bookmark;
+};
+
+/**
+ * Restores a document selection saved by RangeIE.saveSelection
+ * 
+ * @param {Object|null} bookmark
+ *        Null, as saveSelection returns when the selection was not
+ *        within root, leaves the selection unchanged
+ * @param {HTMLElement} root
+ *        The element passed to saveSelection, or its replacement. It is
+ *        required, as the editor may no longer have focus.
+ * @throws {RangeIE.DOMException}
+ *         INVALID_NODE_TYPE_ERR if root is not given
+ * @return {Bool}
+ *         False if bookmark is null
+ */
+RangeIE.restoreSelection = function(bookmark, root) {
+    var range;
+    if (root === undefined || root === null || root.nodeType !== 1) {
+        throw (new RangeIE.DOMException(
+            RangeIE.DOMException.INVALID_NODE_TYPE_ERR,
+            "restoreSelection: The root element must be given."
+        ));
+    }
+    if (bookmark === undefined || bookmark === null) {
+        return false;
     }
+    range = new RangeIE.Range(root);
+    range.fromBookmark(bookmark);
+    RangeIE.getSelection(range._document)._setRange(
+        range, bookmark.backwards === true, true
+    );
+    return true;
 };
 
 /**
@@ -50,31 +231,51 @@ RangeIE.Selection = function() {
 RangeIE.Selection.prototype = {
 
     /**
-     * A range object that will be added to the selection.
+     * A range object that will be added to the selection, and shown
+     * as the document selection. IE can only show a single range, so
+     * the new range replaces any existing ones. A range taken from a
+     * backwards selection stays backwards; any other range is added
+     * forwards, with its anchor at the start.
      * 
      * @see https://developer.mozilla.org/en/DOM/Selection/addRange
      * @param {RangeIE.Range} range
      * @return {Bool}
      */
     addRange : function(range) {
-        this._ranges.push(range);
+        range._checkState('addRange');
+        this._setRange(range, range._backwards === true);
         return true;
     },
 
     /**
      * Returns a range object representing one of the
-     * ranges currently selected.
+     * ranges currently selected. The range stays live until it is
+     * detached, even once the selection has moved on.
      * 
      * @see https://developer.mozilla.org/en/DOM/Selection/getRangeAt
      * @param {Int} index
+     * @throws {RangeIE.DOMException}
+     *         INDEX_SIZE_ERR if index is not below rangeCount
      * @return {RangeIE.Range}
      */
     getRangeAt : function(index) {
+        if (!(index >= 0 && index < this._ranges.length)) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INDEX_SIZE_ERR,
+                "getRangeAt: Index " + index + " is not below the " +
+                    "rangeCount of " + this._ranges.length + "."
+            ));
+        }
+        // The caller may keep the range, so it is no longer released
+        if (this._ranges[index] === this._owned) {
+            this._owned = null;
+        }
         return this._ranges[index];
     },
 
     /**
-     * Removes all ranges from the selection.
+     * Removes all ranges from the selection, and clears the document
+     * selection.
      * 
      * @see https://developer.mozilla.org/en/DOM/Selection/removeAllRanges
      * @return {Bool}
@@ -84,11 +285,15 @@ RangeIE.Selection.prototype = {
         for (i = this._ranges.length-1; i >= 0; i--) {
             this._removeRange(i);
         }
+        this._release();
+        RangeIE.backend.emptySelection(this._document);
+        this._update();
         return true;
     },
 
     /**
-     * Removes a range from the selection.
+     * Removes a range from the selection. The document selection is
+     * cleared once no ranges remain.
      * 
      * @see https://developer.mozilla.org/en/DOM/Selection/removeRange
      * @param {RangeIE.Range} range
@@ -100,10 +305,17 @@ RangeIE.Selection.prototype = {
         for (i = this._ranges.length-1; i >= 0; i--) {
             if (this._ranges[i] === range) {
                 this._removeRange(i);
+                if (range === this._owned) {
+                    this._release();
+                }
                 found = true;
                 break;
             }
         }
+        if (found && this._ranges.length === 0) {
+            RangeIE.backend.emptySelection(this._document);
+        }
+        this._update();
         return found;
     },
 
@@ -118,7 +330,7 @@ RangeIE.Selection.prototype = {
         if (this._ranges.length > 0) {
             range = this._ranges[0];
             range.collapse(true);
-            range._range.select();
+            this._setRange(range, false);
             return true;
         }
         else {
@@ -138,6 +350,7 @@ RangeIE.Selection.prototype = {
         if (this._ranges.length > 0) {
             range = this._ranges[this._ranges.length-1];
             range.collapse(false);
+            this._setRange(range, false);
             return true;
         }
         else {
@@ -145,9 +358,190 @@ RangeIE.Selection.prototype = {
         }
     },
 
+    /**
+     * Collapses the selection to a single point. Passing a null node
+     * removes all ranges.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/collapse
+     * @param {HTMLElement|null} parentNode
+     * @param {Int} offset
+     *        Defaults to 0
+     * @throws {RangeIE.DOMException}
+     *         INDEX_SIZE_ERR if offset lies outside parentNode
+     * @return {Bool}
+     */
+    collapse : function(parentNode, offset) {
+        var range;
+        if (parentNode === null) {
+            return this.removeAllRanges();
+        }
+        if (offset === undefined) {
+            offset = 0;
+        }
+        range = this._createRange(parentNode);
+        range._checkNode(parentNode, 'collapse');
+        range._checkOffset(parentNode, offset, 'collapse');
+        range._setRange(parentNode, offset, parentNode, offset);
+        this._setRange(range, false, true);
+        return true;
+    },
+
+    /**
+     * Moves the focus of the selection to a specified point. The anchor
+     * does not move, so a focus before the anchor gives a backwards
+     * selection.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/extend
+     * @param {HTMLElement} parentNode
+     * @param {Int} offset
+     *        Defaults to 0
+     * @throws {RangeIE.DOMException}
+     *         INVALID_STATE_ERR if the selection has no ranges,
+     *         INDEX_SIZE_ERR if offset lies outside parentNode
+     * @return {Bool}
+     */
+    extend : function(parentNode, offset) {
+        var anchorNode, anchorOffset, range;
+        if (this._ranges.length === 0) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_STATE_ERR,
+                "extend: The selection has no ranges."
+            ));
+        }
+        if (offset === undefined) {
+            offset = 0;
+        }
+        anchorNode = this.anchorNode;
+        anchorOffset = this.anchorOffset;
+        range = this._ranges[0].cloneRange();
+        range._checkNode(parentNode, 'extend');
+        range._checkOffset(parentNode, offset, 'extend');
+        if (RangeIE.Dom.comparePoints(parentNode, offset,
+                                      anchorNode, anchorOffset) < 0) {
+            range._setRange(parentNode, offset, anchorNode, anchorOffset);
+            this._setRange(range, true, true);
+        }
+        else {
+            range._setRange(anchorNode, anchorOffset, parentNode, offset);
+            this._setRange(range, false, true);
+        }
+        return true;
+    },
+
+    /**
+     * Selects all of the children of a node.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/selectAllChildren
+     * @param {HTMLElement} parentNode
+     * @return {Bool}
+     */
+    selectAllChildren : function(parentNode) {
+        var range;
+        range = this._createRange(parentNode);
+        range.selectNodeContents(parentNode);
+        this._setRange(range, false, true);
+        return true;
+    },
+
+    /**
+     * Determines if a node is part of the selection.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/containsNode
+     * @param {HTMLElement} aNode
+     * @param {Bool} aPartlyContained
+     *        When true, a node which is only partly selected is
+     *        also considered part of the selection
+     * @return {Bool}
+     */
+    containsNode : function(aNode, aPartlyContained) {
+        var range, length;
+        if (this._ranges.length === 0) {
+            return false;
+        }
+        range = this._ranges[0];
+        length = RangeIE.Dom.getNodeLength(aNode);
+        if (aPartlyContained) {
+            return (range._compareBoundary(aNode, length, true) >= 0 &&
+                    range._compareBoundary(aNode, 0, false) <= 0);
+        }
+        else {
+            return (range._compareBoundary(aNode, 0, true) >= 0 &&
+                    range._compareBoundary(aNode, length, false) <= 0);
+        }
+    },
+
+    /**
+     * Deletes the selected content from the document, and collapses
+     * the selection where it was.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/deleteFromDocument
+     * @return {Bool}
+     */
+    deleteFromDocument : function() {
+        var range;
+        if (this._ranges.length === 0) {
+            return false;
+        }
+        range = this._ranges[0];
+        range.deleteContents();
+        this._setRange(range, false);
+        return true;
+    },
+
+    /**
+     * Moves the focus of the selection, or moves the whole selection as
+     * a caret. Movement does not leave the editable element.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/Selection/modify
+     * @param {String} alter
+     *        'move' or 'extend'
+     * @param {String} direction
+     *        'forward', 'backward', 'left' or 'right'
+     * @param {String} granularity
+     *        'character', 'word', 'sentence', 'line' or 'lineboundary'
+     * @return {Bool}
+     */
+    modify : function(alter, direction, granularity) {
+        var range, count, focus, point;
+        if (this._ranges.length === 0) {
+            return false;
+        }
+        range = this._ranges[0];
+        if (direction === 'backward' || direction === 'left') {
+            count = -1;
+        }
+        else {
+            count = 1;
+        }
+        focus = range._range.duplicate();
+        // Moving a caret over a selection starts from its edge
+        if (alter === 'move' && !range.collapsed) {
+            focus.collapse(count < 0);
+            if (granularity === 'character') {
+                point = RangeIE.Position.fromTextRange(focus, true,
+                                                       range._bounder);
+                return this.collapse(point.node, point.offset);
+            }
+        }
+        else {
+            focus.collapse(this._backwards);
+        }
+        if (!this._moveFocus(focus, count, granularity, range._bounder)) {
+            return false;
+        }
+        point = RangeIE.Position.fromTextRange(focus, true, range._bounder);
+        if (alter === 'extend') {
+            return this.extend(point.node, point.offset);
+        }
+        else {
+            return this.collapse(point.node, point.offset);
+        }
+    },
+
     /**
      * Returns a string currently being represented by the selection
-     * object, i.e. the currently selected text. 
+     * object, i.e. the currently selected text as rendered, with line
+     * breaks for br and block elements.
      * 
      * @see https://developer.mozilla.org/en/DOM/Selection/toString
      * @return {String}
@@ -156,7 +550,7 @@ RangeIE.Selection.prototype = {
         var i, _i, ret;
         ret = '';
         for (i = 0, _i = this._ranges.length; i < _i; i++) {
-            ret += this._ranges[i].toString();
+            ret += this._ranges[i]._range.text;
             if (i < _i-1) {
                 ret += ' ';
             }
@@ -165,17 +559,192 @@ RangeIE.Selection.prototype = {
     },
 
     /**
-     * Removes a range from the selection based on index.
+     * Removes a range from the selection based on index. The range
+     * itself is left intact, so that it can be added again.
      * 
      * @private
      * @param index
      * @return {Bool}
      */
     _removeRange : function(index) {
-        this._ranges[index].detach();
-        delete this._ranges[index];
         this._ranges.splice(index, 1);
         return true;
+    },
+
+    /**
+     * Moves a collapsed TextRange by one unit of a modify granularity
+     * 
+     * @private
+     * @param {TextRange} focus
+     * @param {Int} count
+     *        1 to move forward, -1 to move backward
+     * @param {String} granularity
+     * @param {HTMLElement} bounder
+     * @return {Bool}
+     *         False for an unsupported granularity
+     */
+    _moveFocus : function(focus, count, granularity, bounder) {
+        var rect, x, y;
+        if (granularity === 'character' || granularity === 'word' ||
+                granularity === 'sentence') {
+            focus.move(granularity, count);
+            return true;
+        }
+        else if (granularity === 'line') {
+            x = focus.boundingLeft;
+            if (count > 0) {
+                y = focus.boundingTop + (focus.boundingHeight * 1.5);
+            }
+            else {
+                y = focus.boundingTop - (focus.boundingHeight * 0.5);
+            }
+        }
+        else if (granularity === 'lineboundary') {
+            rect = bounder.getBoundingClientRect();
+            if (count > 0) {
+                x = rect.right - 1;
+            }
+            else {
+                x = rect.left + 1;
+            }
+            y = focus.boundingTop + (focus.boundingHeight / 2);
+        }
+        else {
+            return false;
+        }
+        // IE throws when the point lies outside of the document, which
+        // means there is no line to move to
+        try {
+            focus.moveToPoint(x, y);
+        }
+        catch (e) {
+            focus.moveToElementText(bounder);
+            focus.collapse(count < 0);
+        }
+        return true;
+    },
+
+    /**
+     * Makes a range the only range of the selection, and shows it as
+     * the document selection.
+     * 
+     * @private
+     * @param {RangeIE.Range} range
+     * @param {Bool} backwards
+     *        Whether the focus is at the start of the range
+     * @param {Bool} owned
+     *        Whether the range was created for the selection, and should
+     *        stop being live once the selection no longer holds it
+     * @return {Bool}
+     */
+    _setRange : function(range, backwards, owned) {
+        if (this._owned !== range) {
+            this._release();
+        }
+        if (owned) {
+            this._owned = range;
+        }
+        this._ranges = [range];
+        this._backwards = backwards;
+        range._backwards = backwards;
+        range._range.select();
+        RangeIE.Direction.setAnchor(range._range, backwards, this._document);
+        this._update();
+        return true;
+    },
+
+    /**
+     * Creates a range for a Selection method to select. It is bound to
+     * the root of the current range when that holds node, so that an
+     * editor without focus stays the root.
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {RangeIE.Range}
+     */
+    _createRange : function(node) {
+        var root;
+        if (this._ranges.length > 0) {
+            root = this._ranges[0]._bounder;
+            if (root !== null && root !== undefined &&
+                    RangeIE.Dom.isAncestor(root, node)) {
+                return new RangeIE.Range(root);
+            }
+        }
+        return new RangeIE.Range(null, this._document);
+    },
+
+    /**
+     * Replaces the ranges with the current document selection.
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _refresh : function() {
+        var range;
+        this._release();
+        range = new RangeIE.Range(null, this._document);
+        range._refresh();
+        this._owned = range;
+        this._ranges = [range];
+        this._backwards = RangeIE.Direction.isBackwards(range._range,
+                                                        this._document);
+        range._backwards = this._backwards;
+        this._update();
+        return true;
+    },
+
+    /**
+     * Stops keeping the range last read from the document selection, or
+     * created by a Selection method, live. Ranges added with addRange,
+     * or handed out by getRangeAt, are left alone.
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _release : function() {
+        if (this._owned !== null) {
+            RangeIE.Mutation._untrack(this._owned);
+            this._owned = null;
+        }
+        return true;
+    },
+
+    /**
+     * Updates the anchor, focus and count properties from the first
+     * range of the selection. The anchor is the start of the range,
+     * unless the selection is backwards.
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _update : function() {
+        var range;
+        this.rangeCount = this._ranges.length;
+        if (this.rangeCount === 0) {
+            this.anchorNode = null;
+            this.anchorOffset = 0;
+            this.focusNode = null;
+            this.focusOffset = 0;
+            this.isCollapsed = true;
+        }
+        else {
+            range = this._ranges[0];
+            if (this._backwards) {
+                this.anchorNode = range.endContainer;
+                this.anchorOffset = range.endOffset;
+                this.focusNode = range.startContainer;
+                this.focusOffset = range.startOffset;
+            }
+            else {
+                this.anchorNode = range.startContainer;
+                this.anchorOffset = range.startOffset;
+                this.focusNode = range.endContainer;
+                this.focusOffset = range.endOffset;
+            }
+            this.isCollapsed = range.collapsed;
+        }
+        return true;
     }
 
 };
@@ -183,22 +752,81 @@ RangeIE.Selection.prototype = {
 /**
  * Range
  * 
+ * A Range is bound to a root element, such as an editor, which boundary
+ * points read from TextRanges are kept within. Without a root, the
+ * active element is used and the Range starts out holding the document
+ * selection. Range methods never change the document selection, focus
+ * or scroll position; use Selection.addRange to show a Range.
+ * 
+ * A Range belongs to the document of its root, and moves to the
+ * document of any node its boundary points are set in, so it can be
+ * used within iframes.
+ * 
  * @constructor
  * @see https://developer.mozilla.org/en/DOM/document.createRange
+ * @param {HTMLElement} root
+ *        Optional
+ * @param {Document} doc
+ *        Optional. Used when no root is given, and defaults to the
+ *        document RangeIE was loaded in.
  */
-RangeIE.Range = function() {
-    var container;
+RangeIE.Range = function(root, doc) {
     this.isRangeIE = true;
-    this._range = document.selection.createRange();
-    this._bounder = window.document.activeElement;
+    if (root === undefined || root === null) {
+        if (doc === undefined || doc === null) {
+            doc = window.document;
+        }
+        this._document = doc;
+        this._range = RangeIE.Position.fromSelection(doc);
+        this._bounder = doc.activeElement;
+    }
+    else {
+        this._document = root.ownerDocument;
+        this._range = RangeIE.backend.createRange(this._document);
+        this._range.moveToElementText(root);
+        this._range.collapse(true);
+        this._bounder = root;
+    }
+    this._backwards = false;
     this._reset();
+    RangeIE.Mutation._track(this);
 };
 
+/**
+ * Creates a Range
+ * 
+ * @param {Object} options
+ *        Optional. The root property gives the element the Range is
+ *        bound to, which need not have focus.
+ * @return {RangeIE.Range}
+ */
+RangeIE.createRange = function(options) {
+    if (options === undefined || options === null) {
+        options = {};
+    }
+    return (new RangeIE.Range(options.root));
+};
+
+/**
+ * Range comparison types
+ * 
+ * @see https://developer.mozilla.org/en/DOM/range.compareBoundaryPoints
+ */
+RangeIE.Range.START_TO_START = 0;
+RangeIE.Range.START_TO_END = 1;
+RangeIE.Range.END_TO_END = 2;
+RangeIE.Range.END_TO_START = 3;
+
 /**
  * Range Instance Methods
  */
 RangeIE.Range.prototype = {
 
+    START_TO_START : RangeIE.Range.START_TO_START,
+    START_TO_END : RangeIE.Range.START_TO_END,
+    END_TO_END : RangeIE.Range.END_TO_END,
+    END_TO_START : RangeIE.Range.END_TO_START,
+
     /**
      * Sets the Range to contain the node and its contents. 
      * 
@@ -206,20 +834,25 @@ RangeIE.Range.prototype = {
      * @param {HTMLElement} referenceNode
      *        This must be a node which has been added to the DOM via
      *        insertBefore, appendChild, etc. If this node has not been
-     *        added to the DOM, IE will give an "invalid argument" error.
+     *        added to the DOM, a WRONG_DOCUMENT_ERR is thrown.
+     * @throws {RangeIE.DOMException}
+     *         INVALID_NODE_TYPE_ERR if referenceNode has no parent
      * @return {Bool}
      */
     selectNode : function(referenceNode) {
-        var st;
+        var parent, index;
+        this._checkState('selectNode');
         this._checkNode(referenceNode, 'selectNode');
-        st = this._selectNode(referenceNode);
-        if (st) {
-            this._range.select();
-            this._refresh();
-        }
-        else {
-            this._reset();
+        parent = referenceNode.parentNode;
+        if (parent === null) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_NODE_TYPE_ERR,
+                "selectNode: The node has no parent."
+            ));
         }
+        this._adopt(referenceNode);
+        index = RangeIE.Dom.getNodeIndex(referenceNode);
+        this._setRange(parent, index, parent, index + 1);
         return true;
     },
 
@@ -230,567 +863,3967 @@ RangeIE.Range.prototype = {
      * @param {HTMLElement} referenceNode
      *        This must be a node which has been added to the DOM via
      *        insertBefore, appendChild, etc. If this node has not been
-     *        added to the DOM, IE will give an "invalid argument" error.
+     *        added to the DOM, a WRONG_DOCUMENT_ERR is thrown.
      * @return {Bool}
      */
     selectNodeContents : function(referenceNode) {
+        this._checkState('selectNodeContents');
         this._checkNode(referenceNode, 'selectNodeContents');
-        this._range.moveToElementText(referenceNode);
-        this._range.select();
-        this._refresh();
+        this._adopt(referenceNode);
+        this._setRange(referenceNode, 0, referenceNode,
+                       RangeIE.Dom.getNodeLength(referenceNode));
         return true;
     },
 
     /**
      * Sets the start position of a Range.
      * 
-     * @todo Currently, only one element can be within a range.
-     *       Need to add ability to span multiple elements.
+     * If the new start lies after the current end, the Range is
+     * collapsed to the new start.
+     * 
      * @see https://developer.mozilla.org/en/DOM/range.setStart
      * @param {HTMLElement} startNode
      * @param {Int} startOffset
+     * @throws {RangeIE.DOMException}
+     *         INDEX_SIZE_ERR if startOffset lies outside startNode
      * @return {Bool}
      */
     setStart : function(startNode, startOffset) {
-        var st;
+        var boundary, result, collapse;
+        this._checkState('setStart');
         this._checkNode(startNode, 'setStart');
-        st = true;
-        if (this.commonAncestorContainer === null) {
-            st = this._selectNode(startNode);
-        }
-        if (st) {
-            this._range.moveStart('character', startOffset);
-            this._range.select();
-            this._refresh();
+        this._checkOffset(startNode, startOffset, 'setStart');
+        this._adopt(startNode);
+        boundary = this._getBoundaryRange(startNode, startOffset);
+        collapse = (this.endContainer === null);
+        if (!collapse) {
+            result = boundary.compareEndPoints('StartToEnd', this._range);
+            // Distinct DOM points with no characters between them are
+            // equal to a TextRange
+            if (result === 0) {
+                result = RangeIE.Dom.comparePoints(startNode, startOffset,
+                                                   this.endContainer,
+                                                   this.endOffset);
+            }
+            collapse = (result > 0);
         }
-        else {
-            this._reset();
+        this._range.setEndPoint('StartToStart', boundary);
+        if (collapse) {
+            this._range.collapse(true);
+            this._setBoundary(false, startNode, startOffset);
         }
-        return st;
+        this._setBoundary(true, startNode, startOffset);
+        return true;
     },
 
     /**
      * Sets the end position of a Range. 
      * 
-     * @todo Currently, only one element can be within a range.
-     *       Need to add ability to span multiple elements.
+     * If the new end lies before the current start, the Range is
+     * collapsed to the new end.
+     * 
      * @see https://developer.mozilla.org/en/DOM/range.setEnd
      * @param {HTMLElement} endNode
      * @param {Int} endOffset
+     * @throws {RangeIE.DOMException}
+     *         INDEX_SIZE_ERR if endOffset lies outside endNode
      * @return {Bool}
      */
     setEnd : function(endNode, endOffset) {
-        var st, txtLen, offset;
+        var boundary, result, collapse;
+        this._checkState('setEnd');
         this._checkNode(endNode, 'setEnd');
-        st = true;
-        if (this.commonAncestorContainer === null) {
-            st = this._selectNode(endNode);
-        }
-        if (st) {
-            if (this._isTextNode(endNode)) {
-                txtLen = endNode.length;
-            }
-            else {
-                txtLen = endNode.innerText.length;
+        this._checkOffset(endNode, endOffset, 'setEnd');
+        this._adopt(endNode);
+        boundary = this._getBoundaryRange(endNode, endOffset);
+        collapse = (this.startContainer === null);
+        if (!collapse) {
+            result = boundary.compareEndPoints('EndToStart', this._range);
+            if (result === 0) {
+                result = RangeIE.Dom.comparePoints(endNode, endOffset,
+                                                   this.startContainer,
+                                                   this.startOffset);
             }
-            offset = -(txtLen - endOffset);
-            this._range.moveEnd('character', offset);
-            this._range.select();
+            collapse = (result < 0);
+        }
+        this._range.setEndPoint('EndToEnd', boundary);
+        if (collapse) {
+            this._range.collapse(false);
+            this._setBoundary(true, endNode, endOffset);
+        }
+        this._setBoundary(false, endNode, endOffset);
+        return true;
+    },
+
+    /**
+     * Collapses the Range to one of its boundary points.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.collapse
+     * @param {Bool} toStart
+     * @return {Bool}
+     */
+    collapse : function(toStart) {
+        this._checkState('collapse');
+        this._range.collapse(toStart);
+        if (this.startContainer === null || this.endContainer === null) {
             this._refresh();
         }
+        else if (toStart) {
+            this._setBoundary(false, this.startContainer, this.startOffset);
+        }
+        else {
+            this._setBoundary(true, this.endContainer, this.endOffset);
+        }
+        return true;
+    },
+
+    /**
+     * Compares a boundary point of this Range with a boundary point
+     * of another Range.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.compareBoundaryPoints
+     * @param {Int} how
+     *        One of START_TO_START, START_TO_END, END_TO_END or END_TO_START
+     * @param {RangeIE.Range} sourceRange
+     * @throws {RangeIE.DOMException}
+     *         NOT_SUPPORTED_ERR if how is not one of the above, or
+     *         WRONG_DOCUMENT_ERR if sourceRange is in another document
+     * @return {Int}
+     *         -1, 0 or 1 as the point of this Range is before, equal to
+     *         or after the point of sourceRange
+     */
+    compareBoundaryPoints : function(how, sourceRange) {
+        var thisStart, sourceStart, result;
+        this._checkState('compareBoundaryPoints');
+        sourceRange._checkState('compareBoundaryPoints');
+        if (how !== this.START_TO_START && how !== this.START_TO_END &&
+                how !== this.END_TO_END && how !== this.END_TO_START) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.NOT_SUPPORTED_ERR,
+                "compareBoundaryPoints: '" + how + "' is not a comparison " +
+                    "type."
+            ));
+        }
+        if (sourceRange._document !== this._document) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.WRONG_DOCUMENT_ERR,
+                "compareBoundaryPoints: The Ranges are in different " +
+                    "documents."
+            ));
+        }
+        thisStart = (how === this.START_TO_START || how === this.END_TO_START);
+        sourceStart = (how === this.START_TO_START ||
+                       how === this.START_TO_END);
+        result = this._range.compareEndPoints(
+            (thisStart ? 'Start' : 'End') + 'To' +
+                (sourceStart ? 'Start' : 'End'),
+            sourceRange._range
+        );
+        // Distinct DOM points with no characters between them are
+        // equal to a TextRange
+        if (result === 0) {
+            result = RangeIE.Dom.comparePoints(
+                thisStart ? this.startContainer : this.endContainer,
+                thisStart ? this.startOffset : this.endOffset,
+                sourceStart ? sourceRange.startContainer :
+                    sourceRange.endContainer,
+                sourceStart ? sourceRange.startOffset :
+                    sourceRange.endOffset
+            );
+        }
+        return result;
+    },
+
+    /**
+     * Determines where a point lies relative to the Range.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.comparePoint
+     * @param {HTMLElement} referenceNode
+     * @param {Int} offset
+     * @throws {RangeIE.DOMException}
+     *         WRONG_DOCUMENT_ERR if referenceNode is in another document,
+     *         INDEX_SIZE_ERR if offset lies outside referenceNode
+     * @return {Int}
+     *         -1, 0 or 1 as the point is before, inside or after the Range
+     */
+    comparePoint : function(referenceNode, offset) {
+        this._checkState('comparePoint');
+        this._checkNode(referenceNode, 'comparePoint');
+        if (RangeIE.Dom.getDocument(referenceNode) !== this._document) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.WRONG_DOCUMENT_ERR,
+                "comparePoint: The node is in a different document to " +
+                    "the Range."
+            ));
+        }
+        this._checkOffset(referenceNode, offset, 'comparePoint');
+        return this._comparePoint(referenceNode, offset);
+    },
+
+    /**
+     * Determines if a point lies within the Range.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.isPointInRange
+     * @param {HTMLElement} referenceNode
+     * @param {Int} offset
+     * @return {Bool}
+     */
+    isPointInRange : function(referenceNode, offset) {
+        this._checkState('isPointInRange');
+        if (!RangeIE.Dom.isAncestor(this._document, referenceNode)) {
+            return false;
+        }
+        this._checkNode(referenceNode, 'isPointInRange');
+        this._checkOffset(referenceNode, offset, 'isPointInRange');
+        return (this._comparePoint(referenceNode, offset) === 0);
+    },
+
+    /**
+     * Determines if any part of a node lies within the Range.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.intersectsNode
+     * @param {HTMLElement} referenceNode
+     * @return {Bool}
+     */
+    intersectsNode : function(referenceNode) {
+        var parent, index;
+        this._checkState('intersectsNode');
+        if (!RangeIE.Dom.isAncestor(this._document, referenceNode)) {
+            return false;
+        }
+        parent = referenceNode.parentNode;
+        if (parent === null) {
+            return true;
+        }
+        index = RangeIE.Dom.getNodeIndex(referenceNode);
+        return (this._compareBoundary(parent, index, false) < 0 &&
+                this._compareBoundary(parent, index + 1, true) > 0);
+    },
+
+    /**
+     * Returns a Range object with boundary points identical to the
+     * cloned Range.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.cloneRange
+     * @return {RangeIE.Range}
+     */
+    cloneRange : function() {
+        var range;
+        this._checkState('cloneRange');
+        range = new RangeIE.Range(this._bounder, this._document);
+        range._range = this._range.duplicate();
+        range._setBoundary(true, this.startContainer, this.startOffset);
+        range._setBoundary(false, this.endContainer, this.endOffset);
+        return range;
+    },
+
+    /**
+     * Returns a document fragment copying the nodes of a Range.
+     * Partially selected nodes are copied without their unselected
+     * content.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.cloneContents
+     * @return {DocumentFragment}
+     */
+    cloneContents : function() {
+        this._checkState('cloneContents');
+        return this._processContents(this.startContainer, this.startOffset,
+                                     this.endContainer, this.endOffset,
+                                     'clone');
+    },
+
+    /**
+     * Moves contents of a Range from the document tree into a document
+     * fragment. Partially selected nodes are split, and the Range is
+     * collapsed where the contents were removed.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.extractContents
+     * @return {DocumentFragment}
+     */
+    extractContents : function() {
+        var point, frag;
+        this._checkState('extractContents');
+        if (this.startContainer === null) {
+            return this._document.createDocumentFragment();
+        }
+        point = this._getRemovalPoint();
+        frag = this._processContents(this.startContainer, this.startOffset,
+                                     this.endContainer, this.endOffset,
+                                     'extract');
+        this._setBoundary(true, point.node, point.offset);
+        this._setBoundary(false, point.node, point.offset);
+        RangeIE.Mutation._mark(this);
+        RangeIE.Mutation._sync();
+        return frag;
+    },
+
+    /**
+     * Moves content of a Range into a new node, placing the new node
+     * at the start of the Range and selecting it.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.surroundContents
+     * @param {HTMLElement} newParent
+     *        Any existing children of newParent are removed.
+     * @throws {RangeIE.DOMException}
+     *         INVALID_STATE_ERR if the Range partially selects a
+     *         non-text node, INVALID_NODE_TYPE_ERR if newParent can not
+     *         hold content, HIERARCHY_REQUEST_ERR if newParent can not be
+     *         inserted at the start of the Range
+     * @return {Bool}
+     */
+    surroundContents : function(newParent) {
+        var frag;
+        this._checkState('surroundContents');
+        if (this._hasPartialNonText()) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_STATE_ERR,
+                "surroundContents: The Range partially selects a " +
+                    "non-text node."
+            ));
+        }
+        if (newParent.nodeType === 9 || newParent.nodeType === 10 ||
+                newParent.nodeType === 11) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_NODE_TYPE_ERR,
+                "surroundContents: newParent can not be a Document, " +
+                    "DocumentType or DocumentFragment node."
+            ));
+        }
+        this._checkInsert(newParent, 'surroundContents');
+        frag = this.extractContents();
+        while (newParent.firstChild !== null) {
+            RangeIE.Mutation._remove(newParent.firstChild);
+        }
+        this._insertAtStart(newParent);
+        RangeIE.Mutation._insert(newParent, frag, null);
+        RangeIE.Mutation._sync();
+        this.selectNode(newParent);
+        return true;
+    },
+
+    /**
+     * Inserts a node at the start of the Range, splitting a text node
+     * start container in two. The node itself is inserted, so references
+     * and event handlers remain valid. A DocumentFragment has its
+     * children inserted. A collapsed Range expands to contain the
+     * inserted node.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.insertNode
+     * @param {HTMLElement|DocumentFragment} newNode
+     */
+    insertNode : function(newNode) {
+        this._checkState('insertNode');
+        this._checkInsert(newNode, 'insertNode');
+        this._insertAtStart(newNode);
+        RangeIE.Mutation._sync();
+    },
+
+    /**
+     * Releases Range from use to improve performance.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.detach
+     * @return {Bool}
+     */
+    detach : function() {
+        this._checkState('detach');
+        delete this._range;
+        this._reset();
+        RangeIE.Mutation._untrack(this);
+        return true;
+    },
+
+    /**
+     * Removes the contents of a Range from the document. Partially
+     * selected text nodes are trimmed, and the Range is collapsed where
+     * the contents were removed. The document selection is not used or
+     * changed.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.deleteContents
+     * @return {Bool}
+     */
+    deleteContents : function() {
+        var point;
+        this._checkState('deleteContents');
+        if (this.startContainer === null || this.collapsed) {
+            return true;
+        }
+        point = this._getRemovalPoint();
+        this._processContents(this.startContainer, this.startOffset,
+                              this.endContainer, this.endOffset,
+                              'delete');
+        this._setBoundary(true, point.node, point.offset);
+        this._setBoundary(false, point.node, point.offset);
+        RangeIE.Mutation._mark(this);
+        RangeIE.Mutation._sync();
+        return true;
+    },
+
+    /**
+     * Returns the text of the text nodes within the Range. Like other
+     * browsers, no line breaks are added for br or block elements, and
+     * images contribute no text.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.toString
+     * @return {String}
+     */
+    toString : function() {
+        var dom, node, stop, ret;
+        this._checkState('toString');
+        dom = RangeIE.Dom;
+        if (this.startContainer === null) {
+            return '';
+        }
+        if (this.startContainer === this.endContainer &&
+                dom.isCharacterData(this.startContainer)) {
+            if (!dom.isTextNode(this.startContainer)) {
+                return '';
+            }
+            return this.startContainer.nodeValue.substring(this.startOffset,
+                                                           this.endOffset);
+        }
+        ret = '';
+        if (dom.isCharacterData(this.startContainer)) {
+            if (dom.isTextNode(this.startContainer)) {
+                ret += this.startContainer.nodeValue.substring(
+                    this.startOffset
+                );
+            }
+            node = dom.getFollowingNode(this.startContainer);
+        }
+        else {
+            node = this._getNodeAt(this.startContainer, this.startOffset);
+        }
+        if (dom.isCharacterData(this.endContainer)) {
+            stop = this.endContainer;
+        }
+        else {
+            stop = this._getNodeAt(this.endContainer, this.endOffset);
+        }
+        while (node !== null && node !== stop) {
+            if (dom.isTextNode(node)) {
+                ret += node.nodeValue;
+            }
+            node = dom.getNextNode(node);
+        }
+        if (dom.isTextNode(this.endContainer)) {
+            ret += this.endContainer.nodeValue.substring(0, this.endOffset);
+        }
+        return ret;
+    },
+
+    /**
+     * Gets the rectangle bounding the contents of the Range, relative
+     * to the viewport. A collapsed Range gives a zero-width rectangle
+     * at the caret position.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.getBoundingClientRect
+     * @return {Object[Int left, Int top, Int right, Int bottom,
+     *                 Int width, Int height]}
+     */
+    getBoundingClientRect : function() {
+        this._checkState('getBoundingClientRect');
+        if (this.collapsed) {
+            return this._getCaretRect();
+        }
+        return this._makeRect(this._range.boundingLeft,
+                              this._range.boundingTop,
+                              this._range.boundingLeft +
+                                  this._range.boundingWidth,
+                              this._range.boundingTop +
+                                  this._range.boundingHeight);
+    },
+
+    /**
+     * Gets a rectangle for each line box of the Range, relative to
+     * the viewport. A collapsed Range gives its caret rectangle.
+     * 
+     * @see https://developer.mozilla.org/en/DOM/range.getClientRects
+     * @return {Object[Int left, Int top, Int right, Int bottom,
+     *                 Int width, Int height][]}
+     */
+    getClientRects : function() {
+        var rects, ret, i;
+        this._checkState('getClientRects');
+        if (this.collapsed) {
+            return [this._getCaretRect()];
+        }
+        rects = this._range.getClientRects();
+        ret = [];
+        for (i = 0; i < rects.length; i++) {
+            ret.push(this._makeRect(rects[i].left, rects[i].top,
+                                    rects[i].right, rects[i].bottom));
+        }
+        return ret;
+    },
+
+    /**
+     * Saves the boundary points as a bookmark, relative to root
+     * 
+     * @see RangeIE.Bookmark
+     * @param {HTMLElement} root
+     *        Defaults to the active element the Range was created in
+     * @return {Object|null}
+     *         Null if the Range is not within root
+     */
+    toBookmark : function(root) {
+        var start, end;
+        this._checkState('toBookmark');
+        if (root === undefined) {
+            root = this._bounder;
+        }
+        start = RangeIE.Bookmark.fromPoint(this.startContainer,
+                                           this.startOffset, root);
+        end = RangeIE.Bookmark.fromPoint(this.endContainer, this.endOffset,
+                                         root);
+        if (start === null || end === null) {
+            return null;
+        }
+        return {
+            start : start,
+            end : end,
+            backwards : false
+        };
+    },
+
+    /**
+     * Sets the boundary points from a bookmark, relative to root. The
+     * document selection is not changed.
+     * 
+     * @see RangeIE.Bookmark
+     * @param {Object} bookmark
+     * @param {HTMLElement} root
+     *        Defaults to the active element the Range was created in
+     * @return {Bool}
+     */
+    fromBookmark : function(bookmark, root) {
+        var start, end;
+        this._checkState('fromBookmark');
+        if (root === undefined) {
+            root = this._bounder;
+        }
+        start = RangeIE.Bookmark.toPoint(bookmark.start, root);
+        end = RangeIE.Bookmark.toPoint(bookmark.end, root);
+        if (RangeIE.Dom.comparePoints(start.node, start.offset,
+                                      end.node, end.offset) > 0) {
+            end = start;
+        }
+        this._setRange(start.node, start.offset, end.node, end.offset);
+        return true;
+    },
+
+    /**
+     * Determines where a point lies relative to the range
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @return {Int}
+     */
+    _comparePoint : function(node, offset) {
+        if (this._compareBoundary(node, offset, true) < 0) {
+            return -1;
+        }
+        else if (this._compareBoundary(node, offset, false) > 0) {
+            return 1;
+        }
+        else {
+            return 0;
+        }
+    },
+
+    /**
+     * Compares a point with the start or end of the range
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @param {Bool} toStart
+     * @return {Int}
+     */
+    _compareBoundary : function(node, offset, toStart) {
+        var result;
+        result = this._getBoundaryRange(node, offset).compareEndPoints(
+            toStart ? 'StartToStart' : 'StartToEnd',
+            this._range
+        );
+        if (result === 0) {
+            result = RangeIE.Dom.comparePoints(
+                node,
+                offset,
+                toStart ? this.startContainer : this.endContainer,
+                toStart ? this.startOffset : this.endOffset
+            );
+        }
+        return result;
+    },
+
+    /**
+     * Determines if a non-text node is partially selected, meaning it
+     * contains one boundary point of the range but not the other
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _hasPartialNonText : function() {
+        var containers, node, i;
+        containers = [this.startContainer, this.endContainer];
+        for (i = 0; i < containers.length; i++) {
+            node = containers[i];
+            while (node !== null && node !== this.commonAncestorContainer) {
+                if (!RangeIE.Dom.isTextNode(node)) {
+                    return true;
+                }
+                node = node.parentNode;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Inserts a node into the document at the start of the range,
+     * following the DOM Range insert algorithm. Boundary points of all
+     * ranges are updated, but the TextRanges are not.
+     * 
+     * @private
+     * @param {HTMLElement|DocumentFragment} node
+     * @return {Bool}
+     */
+    _insertAtStart : function(node) {
+        var parent, refNode, index;
+        if (RangeIE.Dom.isTextNode(this.startContainer)) {
+            parent = this.startContainer.parentNode;
+            refNode = RangeIE.Mutation._split(this.startContainer,
+                                              this.startOffset);
+        }
+        else {
+            parent = this.startContainer;
+            refNode = parent.childNodes[this.startOffset] || null;
+        }
+        if (node === refNode) {
+            refNode = refNode.nextSibling;
+        }
+        RangeIE.Mutation._insert(parent, node, refNode);
+        if (this.collapsed) {
+            if (refNode === null) {
+                index = parent.childNodes.length;
+            }
+            else {
+                index = RangeIE.Dom.getNodeIndex(refNode);
+            }
+            this._setBoundary(false, parent, index);
+            RangeIE.Mutation._mark(this);
+        }
+        return true;
+    },
+
+    /**
+     * Gets the first node in document order at or after a point in an
+     * element
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @return {HTMLElement|null}
+     */
+    _getNodeAt : function(node, offset) {
+        if (offset < node.childNodes.length) {
+            return node.childNodes[offset];
+        }
+        return RangeIE.Dom.getFollowingNode(node);
+    },
+
+    /**
+     * Gets the text nodes holding any of the text of the range
+     * 
+     * @private
+     * @return {Text[]}
+     */
+    _getTextNodes : function() {
+        var dom, node, stop, start, end, ret;
+        dom = RangeIE.Dom;
+        ret = [];
+        if (this.startContainer === null) {
+            return ret;
+        }
+        if (dom.isCharacterData(this.startContainer)) {
+            node = this.startContainer;
+        }
         else {
-            this._reset();
+            node = this._getNodeAt(this.startContainer, this.startOffset);
+        }
+        if (dom.isCharacterData(this.endContainer)) {
+            stop = dom.getFollowingNode(this.endContainer);
+        }
+        else {
+            stop = this._getNodeAt(this.endContainer, this.endOffset);
+        }
+        while (node !== null && node !== stop) {
+            if (dom.isTextNode(node)) {
+                start = (node === this.startContainer) ? this.startOffset : 0;
+                end = (node === this.endContainer) ? this.endOffset :
+                                                     node.length;
+                if (start < end) {
+                    ret.push(node);
+                }
+            }
+            node = dom.getNextNode(node);
+        }
+        return ret;
+    },
+
+    /**
+     * Gets the zero-width rectangle of the caret at the start of the
+     * range. IE gives a collapsed TextRange no height in some places,
+     * such as the end of a line, so the height is then taken from the
+     * character after the caret, or failing that the one before it.
+     * 
+     * @private
+     * @return {Object[Int left, Int top, Int right, Int bottom,
+     *                 Int width, Int height]}
+     */
+    _getCaretRect : function() {
+        var caret;
+        caret = this._range.duplicate();
+        caret.collapse(true);
+        if (caret.boundingHeight > 0) {
+            return this._makeRect(caret.boundingLeft, caret.boundingTop,
+                                  caret.boundingLeft,
+                                  caret.boundingTop + caret.boundingHeight);
         }
-        return st;
+        if (caret.moveEnd('character', 1) === 1 &&
+                caret.boundingHeight > 0) {
+            return this._makeRect(caret.boundingLeft, caret.boundingTop,
+                                  caret.boundingLeft,
+                                  caret.boundingTop + caret.boundingHeight);
+        }
+        caret.collapse(true);
+        caret.moveStart('character', -1);
+        return this._makeRect(caret.boundingLeft + caret.boundingWidth,
+                              caret.boundingTop,
+                              caret.boundingLeft + caret.boundingWidth,
+                              caret.boundingTop + caret.boundingHeight);
+    },
+
+    /**
+     * Makes a rectangle object from its edges
+     * 
+     * @private
+     * @param {Int} left
+     * @param {Int} top
+     * @param {Int} right
+     * @param {Int} bottom
+     * @return {Object[Int left, Int top, Int right, Int bottom,
+     *                 Int width, Int height]}
+     */
+    _makeRect : function(left, top, right, bottom) {
+        return {
+            left : left,
+            top : top,
+            right : right,
+            bottom : bottom,
+            width : right - left,
+            height : bottom - top
+        };
+    },
+
+    /**
+     * Gets copies of the start and end boundary points
+     * 
+     * @private
+     * @return {Object[HTMLElement node, Int offset][]}
+     */
+    _getBoundaries : function() {
+        return [
+            {
+                node : this.startContainer,
+                offset : this.startOffset
+            },
+            {
+                node : this.endContainer,
+                offset : this.endOffset
+            }
+        ];
+    },
+
+    /**
+     * Sets the start and end boundary points from copies
+     * 
+     * @private
+     * @param {Object[HTMLElement node, Int offset][]} points
+     * @return {Bool}
+     */
+    _setBoundaries : function(points) {
+        this._setBoundary(true, points[0].node, points[0].offset);
+        this._setBoundary(false, points[1].node, points[1].offset);
+        return true;
+    },
+
+    /**
+     * Copies, moves or removes the contents between two boundary points,
+     * following the DOM Range clone, extract and delete algorithms
+     * 
+     * @private
+     * @param {HTMLElement} startNode
+     * @param {Int} startOffset
+     * @param {HTMLElement} endNode
+     * @param {Int} endOffset
+     * @param {String} action
+     *        One of 'clone', 'extract' or 'delete'
+     * @return {DocumentFragment}
+     *         Empty when deleting
+     */
+    _processContents : function(startNode, startOffset, endNode, endOffset,
+                                action) {
+        var dom, frag, ancestor, firstPartial, lastPartial, contained,
+            child, sub, i, _i;
+        dom = RangeIE.Dom;
+        frag = this._document.createDocumentFragment();
+        if (startNode === null ||
+                (startNode === endNode && startOffset === endOffset)) {
+            return frag;
+        }
+        if (startNode === endNode && dom.isCharacterData(startNode)) {
+            this._processData(frag, startNode, startOffset, endOffset,
+                              action);
+            return frag;
+        }
+        ancestor = dom.getCommonAncestor(startNode, endNode);
+        firstPartial = null;
+        lastPartial = null;
+        if (!dom.isAncestor(startNode, endNode)) {
+            firstPartial = dom.getAncestorChild(ancestor, startNode);
+        }
+        if (!dom.isAncestor(endNode, startNode)) {
+            lastPartial = dom.getAncestorChild(ancestor, endNode);
+        }
+        contained = [];
+        for (child = ancestor.firstChild; child !== null;
+                child = child.nextSibling) {
+            if (this._isContained(child, startNode, startOffset,
+                                  endNode, endOffset)) {
+                contained.push(child);
+            }
+        }
+        if (firstPartial !== null) {
+            if (dom.isCharacterData(firstPartial)) {
+                this._processData(frag, startNode, startOffset,
+                                  startNode.length, action);
+            }
+            else {
+                sub = this._processContents(
+                    startNode, startOffset,
+                    firstPartial, dom.getNodeLength(firstPartial),
+                    action
+                );
+                this._processPartial(frag, firstPartial, sub, action);
+            }
+        }
+        for (i = 0, _i = contained.length; i < _i; i++) {
+            if (action === 'clone') {
+                frag.appendChild(contained[i].cloneNode(true));
+            }
+            else if (action === 'extract') {
+                RangeIE.Mutation._remove(contained[i]);
+                frag.appendChild(contained[i]);
+            }
+            else {
+                RangeIE.Mutation._remove(contained[i]);
+            }
+        }
+        if (lastPartial !== null) {
+            if (dom.isCharacterData(lastPartial)) {
+                this._processData(frag, endNode, 0, endOffset, action);
+            }
+            else {
+                sub = this._processContents(
+                    lastPartial, 0,
+                    endNode, endOffset,
+                    action
+                );
+                this._processPartial(frag, lastPartial, sub, action);
+            }
+        }
+        return frag;
+    },
+
+    /**
+     * Copies part of a character data node into a fragment, and removes
+     * that part from the node unless cloning
+     * 
+     * @private
+     * @param {DocumentFragment} frag
+     * @param {Text} node
+     * @param {Int} startOffset
+     * @param {Int} endOffset
+     * @param {String} action
+     * @return {Bool}
+     */
+    _processData : function(frag, node, startOffset, endOffset, action) {
+        var clone;
+        if (action !== 'delete') {
+            clone = node.cloneNode(false);
+            clone.nodeValue = node.nodeValue.substring(startOffset,
+                                                       endOffset);
+            frag.appendChild(clone);
+        }
+        if (action !== 'clone') {
+            RangeIE.Mutation._replaceData(node, startOffset,
+                                          endOffset - startOffset, '');
+        }
+        return true;
+    },
+
+    /**
+     * Adds a shallow copy of a partially selected node, holding its
+     * processed contents, to a fragment
+     * 
+     * @private
+     * @param {DocumentFragment} frag
+     * @param {HTMLElement} node
+     * @param {DocumentFragment} contents
+     * @param {String} action
+     * @return {Bool}
+     */
+    _processPartial : function(frag, node, contents, action) {
+        var clone;
+        if (action !== 'delete') {
+            clone = node.cloneNode(false);
+            clone.appendChild(contents);
+            frag.appendChild(clone);
+        }
+        return true;
+    },
+
+    /**
+     * Determines if a node lies entirely between two boundary points
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} startNode
+     * @param {Int} startOffset
+     * @param {HTMLElement} endNode
+     * @param {Int} endOffset
+     * @return {Bool}
+     */
+    _isContained : function(node, startNode, startOffset, endNode,
+                            endOffset) {
+        var parent, index;
+        parent = node.parentNode;
+        index = RangeIE.Dom.getNodeIndex(node);
+        return (RangeIE.Dom.comparePoints(parent, index,
+                                          startNode, startOffset) >= 0 &&
+                RangeIE.Dom.comparePoints(parent, index + 1,
+                                          endNode, endOffset) <= 0);
+    },
+
+    /**
+     * Gets the point the range collapses to once its contents are
+     * removed
+     * 
+     * @private
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _getRemovalPoint : function() {
+        var node;
+        if (RangeIE.Dom.isAncestor(this.startContainer, this.endContainer)) {
+            return {
+                node : this.startContainer,
+                offset : this.startOffset
+            };
+        }
+        node = this.startContainer;
+        while (!RangeIE.Dom.isAncestor(node.parentNode, this.endContainer)) {
+            node = node.parentNode;
+        }
+        return {
+            node : node.parentNode,
+            offset : RangeIE.Dom.getNodeIndex(node) + 1
+        };
+    },
+
+    /**
+     * Sets both boundary points of the range without changing the
+     * document selection
+     * 
+     * @private
+     * @param {HTMLElement} startNode
+     * @param {Int} startOffset
+     * @param {HTMLElement} endNode
+     * @param {Int} endOffset
+     * @return {Bool}
+     */
+    _setRange : function(startNode, startOffset, endNode, endOffset) {
+        var end;
+        end = this._getBoundaryRange(endNode, endOffset);
+        this._range = this._getBoundaryRange(startNode, startOffset);
+        this._range.setEndPoint('EndToEnd', end);
+        this._setBoundary(true, startNode, startOffset);
+        this._setBoundary(false, endNode, endOffset);
+        return true;
+    },
+
+    /**
+     * Gets a collapsed TextRange positioned at a DOM boundary point
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     *        Character offset for text nodes, child index otherwise
+     * @return {TextRange|null}
+     */
+    _getBoundaryRange : function(node, offset) {
+        return RangeIE.Position.toTextRange(node, offset);
+    },
+
+    /**
+     * Reset range properties to no data
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _reset : function() {
+        this.collapsed = true;
+        this.commonAncestorContainer = null;
+        this.endContainer = null;
+        this.endOffset = 0;
+        this.startContainer = null;
+        this.startOffset = 0;
+        return true;
+    },
+
+    /**
+     * Sets one boundary point of the range properties
+     * 
+     * @private
+     * @param {Bool} isStart
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @return {Bool}
+     */
+    _setBoundary : function(isStart, node, offset) {
+        if (isStart) {
+            this.startContainer = node;
+            this.startOffset = offset;
+        }
+        else {
+            this.endContainer = node;
+            this.endOffset = offset;
+        }
+        if (this.startContainer === null || this.endContainer === null) {
+            this.commonAncestorContainer = null;
+            this.collapsed = true;
+        }
+        else {
+            this.commonAncestorContainer =
+                RangeIE.Dom.getCommonAncestor(this.startContainer,
+                                              this.endContainer);
+            this.collapsed = (this.startContainer === this.endContainer &&
+                              this.startOffset === this.endOffset);
+        }
+        return true;
+    },
+
+    /**
+     * Populate range properties with relevent data
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _refresh : function() {
+        var start, end;
+        start = RangeIE.Position.fromTextRange(this._range, true,
+                                               this._bounder);
+        end = RangeIE.Position.fromTextRange(this._range, false,
+                                             this._bounder);
+        this._setBoundary(true, start.node, start.offset);
+        this._setBoundary(false, end.node, end.offset);
+        return true;
+    },
+
+    /**
+     * Moves the range to the document of a node, collapsed at the start
+     * of its body, unless it already belongs to that document
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     *         True if the range was moved
+     */
+    _adopt : function(node) {
+        var doc;
+        doc = RangeIE.Dom.getDocument(node);
+        if (doc === this._document) {
+            return false;
+        }
+        this._document = doc;
+        this._range = RangeIE.backend.createRange(doc);
+        this._range.collapse(true);
+        this._bounder = doc.body;
+        this._reset();
+        return true;
+    },
+
+    /**
+     * Checks that the range has not been detached
+     * 
+     * @private
+     * @param {String} funcName
+     * @throws {RangeIE.DOMException}
+     *         INVALID_STATE_ERR if detach has been called
+     * @return {Bool}
+     */
+    _checkState : function(funcName) {
+        if (this._range === undefined) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_STATE_ERR,
+                funcName + ": The Range has been detached."
+            ));
+        }
+        return true;
+    },
+
+    /**
+     * Checks that a node can hold a boundary point, and is within a
+     * document. Nodes which have not been added to the DOM via
+     * insertBefore, appendChild, etc. can not be located by IE.
+     * 
+     * @private
+     * @param {HTMLElement} referenceNode
+     * @param {String} funcName
+     * @throws {RangeIE.DOMException}
+     *         INVALID_NODE_TYPE_ERR if referenceNode is not a node or is
+     *         a DocumentType, WRONG_DOCUMENT_ERR if it is not within a
+     *         document
+     * @return {Bool}
+     */
+    _checkNode : function(referenceNode, funcName) {
+        if (referenceNode === null || referenceNode === undefined ||
+                referenceNode.nodeType === undefined ||
+                referenceNode.nodeType === 10) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_NODE_TYPE_ERR,
+                funcName + ": The node is not a node which can hold a " +
+                    "boundary point."
+            ));
+        }
+        if (!RangeIE.Dom.isAncestor(RangeIE.Dom.getDocument(referenceNode),
+                                    referenceNode)) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.WRONG_DOCUMENT_ERR,
+                funcName + ": The node must already exist in the " +
+                    "document. It must have been previously added to the " +
+                    "DOM using appendChild, insertBefore or other such DOM " +
+                    "methods."
+            ));
+        }
+        return true;
+    },
+
+    /**
+     * Checks that an offset lies within a node
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @param {String} funcName
+     * @throws {RangeIE.DOMException}
+     *         INDEX_SIZE_ERR if offset is not a whole number from zero to
+     *         the length of node
+     * @return {Bool}
+     */
+    _checkOffset : function(node, offset, funcName) {
+        var length;
+        length = (RangeIE.Dom.isCharacterData(node) ? node.length :
+                  node.childNodes.length);
+        if (typeof offset !== 'number' || offset % 1 !== 0 ||
+                offset < 0 || offset > length) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INDEX_SIZE_ERR,
+                funcName + ": The offset " + offset + " is not between 0 " +
+                    "and the node length of " + length + "."
+            ));
+        }
+        return true;
+    },
+
+    /**
+     * Checks that a node may be inserted at the start of the range
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {String} funcName
+     * @throws {RangeIE.DOMException}
+     *         HIERARCHY_REQUEST_ERR if the start container can not hold
+     *         node, or node contains the start container,
+     *         INVALID_NODE_TYPE_ERR if node is not a node
+     * @return {Bool}
+     */
+    _checkInsert : function(node, funcName) {
+        var start;
+        if (node === null || node === undefined ||
+                node.nodeType === undefined) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.INVALID_NODE_TYPE_ERR,
+                funcName + ": The node to insert is not a node."
+            ));
+        }
+        start = this.startContainer;
+        if (node.nodeType === 9 || node.nodeType === 10 ||
+                start.nodeType === 7 || start.nodeType === 8 ||
+                (RangeIE.Dom.isTextNode(start) && start.parentNode === null) ||
+                RangeIE.Dom.isAncestor(node, start)) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.HIERARCHY_REQUEST_ERR,
+                funcName + ": The node can not be inserted at the start " +
+                    "of the Range."
+            ));
+        }
+        return true;
+    }
+
+};
+
+/**
+ * DOMException
+ * 
+ * The name is the one native browsers give for the code, such as
+ * IndexSizeError, so failures can be handled by either name or code.
+ * 
+ * @constructor
+ * @see http://www.w3.org/TR/DOM-Level-2-Core/core.html#ID-17189187
+ * @param {Int} code
+ * @param {String} message
+ */
+RangeIE.DOMException = function(code, message) {
+    var stack;
+    this.code = code;
+    this.name = RangeIE.DOMException._names[code] || 'DOMException';
+    this.message = 'RangeIE: ' + message;
+    // The stack of the prototype would point here, not at the caller
+    stack = (new Error(this.message)).stack;
+    if (stack !== undefined) {
+        this.stack = stack;
+    }
+};
+
+/**
+ * DOMException codes
+ */
+RangeIE.DOMException.INDEX_SIZE_ERR = 1;
+RangeIE.DOMException.HIERARCHY_REQUEST_ERR = 3;
+RangeIE.DOMException.WRONG_DOCUMENT_ERR = 4;
+RangeIE.DOMException.NOT_SUPPORTED_ERR = 9;
+RangeIE.DOMException.INVALID_STATE_ERR = 11;
+RangeIE.DOMException.SYNTAX_ERR = 12;
+RangeIE.DOMException.INVALID_NODE_TYPE_ERR = 24;
+
+/**
+ * DOMException names by code
+ * 
+ * @private
+ * @type {Object}
+ */
+RangeIE.DOMException._names = {
+    1 : 'IndexSizeError',
+    3 : 'HierarchyRequestError',
+    4 : 'WrongDocumentError',
+    9 : 'NotSupportedError',
+    11 : 'InvalidStateError',
+    12 : 'SyntaxError',
+    24 : 'InvalidNodeTypeError'
+};
+
+/**
+ * DOMException Instance Properties
+ */
+RangeIE.DOMException.prototype = new Error();
+RangeIE.DOMException.prototype.name = 'DOMException';
+RangeIE.DOMException.prototype.INDEX_SIZE_ERR =
+    RangeIE.DOMException.INDEX_SIZE_ERR;
+RangeIE.DOMException.prototype.HIERARCHY_REQUEST_ERR =
+    RangeIE.DOMException.HIERARCHY_REQUEST_ERR;
+RangeIE.DOMException.prototype.WRONG_DOCUMENT_ERR =
+    RangeIE.DOMException.WRONG_DOCUMENT_ERR;
+RangeIE.DOMException.prototype.NOT_SUPPORTED_ERR =
+    RangeIE.DOMException.NOT_SUPPORTED_ERR;
+RangeIE.DOMException.prototype.INVALID_STATE_ERR =
+    RangeIE.DOMException.INVALID_STATE_ERR;
+RangeIE.DOMException.prototype.SYNTAX_ERR =
+    RangeIE.DOMException.SYNTAX_ERR;
+RangeIE.DOMException.prototype.INVALID_NODE_TYPE_ERR =
+    RangeIE.DOMException.INVALID_NODE_TYPE_ERR;
+
+/**
+ * DOM helpers shared by Range, Selection and Position
+ */
+RangeIE.Dom = {
+
+    /**
+     * Adds an event handler to a node
+     * 
+     * @param {HTMLElement|Document} node
+     * @param {String} type
+     *        Event type without the "on" prefix
+     * @param {Function} handler
+     * @return {Bool}
+     */
+    addEvent : function(node, type, handler) {
+        if (node.attachEvent !== undefined) {
+            node.attachEvent('on' + type, handler);
+        }
+        else {
+            node.addEventListener(type, handler, false);
+        }
+        return true;
+    },
+
+    /**
+     * Removes an event handler added with addEvent
+     * 
+     * @param {HTMLElement|Document} node
+     * @param {String} type
+     *        Event type without the "on" prefix
+     * @param {Function} handler
+     * @return {Bool}
+     */
+    removeEvent : function(node, type, handler) {
+        if (node.detachEvent !== undefined) {
+            node.detachEvent('on' + type, handler);
+        }
+        else {
+            node.removeEventListener(type, handler, false);
+        }
+        return true;
+    },
+
+    /**
+     * Gets the document a node belongs to
+     * 
+     * @param {HTMLElement|Document} node
+     * @return {Document}
+     */
+    getDocument : function(node) {
+        if (node.nodeType === 9) {
+            return node;
+        }
+        return node.ownerDocument;
+    },
+
+    /**
+     * Determines if node is a text node
+     * 
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    isTextNode : function(node) {
+        return (node.nodeType === 3);
+    },
+
+    /**
+     * Determines if node is a text, comment or CDATA node
+     * 
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    isCharacterData : function(node) {
+        return (node.nodeType === 3 || node.nodeType === 4 ||
+                node.nodeType === 8);
+    },
+
+    /**
+     * Gets the index of a node within its parent's child nodes
+     * 
+     * @param {HTMLElement} node
+     * @return {Int}
+     */
+    getNodeIndex : function(node) {
+        var i;
+        i = 0;
+        while ((node = node.previousSibling) !== null) {
+            i++;
+        }
+        return i;
+    },
+
+    /**
+     * Gets the boundary length of a node: characters for a text, comment
+     * or CDATA node, child nodes otherwise
+     * 
+     * @param {HTMLElement} node
+     * @return {Int}
+     */
+    getNodeLength : function(node) {
+        if (this.isCharacterData(node)) {
+            return node.length;
+        }
+        else {
+            return node.childNodes.length;
+        }
+    },
+
+    /**
+     * Determines if parent is ancestor of child
+     * 
+     * @param parent {HTMLElement|Document} parent
+     * @param child {HTMLElement}
+     * @return {Bool}
+     */
+    isAncestor : function(parent, child) {
+        var f;
+        f = false;
+        while (true) {
+            if (child === null || child === undefined) {
+                break;
+            }
+            if (parent.nodeType === 9 && child.ownerDocument === parent) {
+                if (child.nodeName !== null && child.nodeName !== undefined) {
+                    if (child.nodeName.toLowerCase() === 'html') {
+                        f = true;
+                        break;
+                    }
+                }
+            }
+            if (child === parent) {
+                f = true;
+                break;
+            }
+            child = child.parentNode;
+        }
+        return f;
+    },
+
+    /**
+     * Compares two boundary points in document order
+     * 
+     * @param {HTMLElement} nodeA
+     * @param {Int} offsetA
+     * @param {HTMLElement} nodeB
+     * @param {Int} offsetB
+     * @return {Int}
+     *         -1, 0 or 1 as the first point is before, equal to or after
+     *         the second point
+     */
+    comparePoints : function(nodeA, offsetA, nodeB, offsetB) {
+        var ancestor, childA, childB;
+        if (nodeA === nodeB) {
+            if (offsetA === offsetB) {
+                return 0;
+            }
+            return (offsetA < offsetB) ? -1 : 1;
+        }
+        else if (this.isAncestor(nodeA, nodeB)) {
+            childB = this.getAncestorChild(nodeA, nodeB);
+            return (this.getNodeIndex(childB) < offsetA) ? 1 : -1;
+        }
+        else if (this.isAncestor(nodeB, nodeA)) {
+            childA = this.getAncestorChild(nodeB, nodeA);
+            return (this.getNodeIndex(childA) < offsetB) ? -1 : 1;
+        }
+        else {
+            ancestor = this.getCommonAncestor(nodeA, nodeB);
+            childA = this.getAncestorChild(ancestor, nodeA);
+            childB = this.getAncestorChild(ancestor, nodeB);
+            return (this.getNodeIndex(childA) < this.getNodeIndex(childB)) ?
+                -1 : 1;
+        }
+    },
+
+    /**
+     * Gets the node after node in document order
+     * 
+     * @param {HTMLElement} node
+     * @return {HTMLElement|null}
+     */
+    getNextNode : function(node) {
+        if (node.firstChild !== null) {
+            return node.firstChild;
+        }
+        return this.getFollowingNode(node);
+    },
+
+    /**
+     * Gets the node after node in document order which is not one of
+     * its descendants
+     * 
+     * @param {HTMLElement} node
+     * @return {HTMLElement|null}
+     */
+    getFollowingNode : function(node) {
+        while (node !== null) {
+            if (node.nextSibling !== null) {
+                return node.nextSibling;
+            }
+            node = node.parentNode;
+        }
+        return null;
+    },
+
+    /**
+     * Gets the child of ancestor which contains node
+     * 
+     * @param {HTMLElement} ancestor
+     * @param {HTMLElement} node
+     * @return {HTMLElement}
+     */
+    getAncestorChild : function(ancestor, node) {
+        while (node.parentNode !== ancestor) {
+            node = node.parentNode;
+        }
+        return node;
+    },
+
+    /**
+     * Finds the deepest node containing both nodes
+     * 
+     * @param {HTMLElement} a
+     * @param {HTMLElement} b
+     * @return {HTMLElement|null}
+     */
+    getCommonAncestor : function(a, b) {
+        while (a !== null) {
+            if (this.isAncestor(a, b)) {
+                return a;
+            }
+            a = a.parentNode;
+        }
+        return null;
+    }
+
+};
+
+/**
+ * Mutation
+ * 
+ * Keeps ranges live. Every RangeIE.Range is tracked from creation until
+ * it is detached, and nodes inserted, removed, split or merged through
+ * these methods update the boundary points of all tracked ranges, as the
+ * DOM specification defines for live ranges. Changes made to the
+ * document by other means can be followed up with a call to refresh.
+ */
+RangeIE.Mutation = {
+
+    /**
+     * Tracked ranges
+     * 
+     * @private
+     * @type {RangeIE.Range[]}
+     */
+    _ranges : [],
+
+    /**
+     * Tracked ranges whose boundary points changed since the last _sync
+     * 
+     * @private
+     * @type {RangeIE.Range[]}
+     */
+    _changed : [],
+
+    /**
+     * Inserts a node before a child of parent. A DocumentFragment has
+     * its children inserted.
+     * 
+     * @param {HTMLElement} parent
+     * @param {HTMLElement|DocumentFragment} node
+     * @param {HTMLElement|null} refNode
+     *        Null to append
+     * @return {HTMLElement|DocumentFragment}
+     *         The inserted node
+     */
+    insertBefore : function(parent, node, refNode) {
+        this._insert(parent, node, refNode);
+        this._sync();
+        return node;
+    },
+
+    /**
+     * Appends a node to parent
+     * 
+     * @param {HTMLElement} parent
+     * @param {HTMLElement|DocumentFragment} node
+     * @return {HTMLElement|DocumentFragment}
+     *         The appended node
+     */
+    appendChild : function(parent, node) {
+        return this.insertBefore(parent, node, null);
+    },
+
+    /**
+     * Removes a child from parent. Boundary points inside of it move
+     * to where it was.
+     * 
+     * @param {HTMLElement} parent
+     * @param {HTMLElement} node
+     * @return {HTMLElement}
+     *         The removed node
+     */
+    removeChild : function(parent, node) {
+        this._remove(node);
+        this._sync();
+        return node;
+    },
+
+    /**
+     * Splits a text node in two at offset
+     * 
+     * @param {Text} node
+     * @param {Int} offset
+     * @return {Text}
+     *         The new node holding the text after offset
+     */
+    splitText : function(node, offset) {
+        var newNode;
+        newNode = this._split(node, offset);
+        this._sync();
+        return newNode;
+    },
+
+    /**
+     * Merges the text node following node into it, the reverse of
+     * splitText
+     * 
+     * @param {Text} node
+     * @return {Bool}
+     *         False if node is not followed by a text node
+     */
+    mergeText : function(node) {
+        var next;
+        next = node.nextSibling;
+        if (next === null || !RangeIE.Dom.isTextNode(next)) {
+            return false;
+        }
+        this._merge(node, next);
+        this._sync();
+        return true;
+    },
+
+    /**
+     * Inserts text into a character data node
+     * 
+     * @param {Text} node
+     * @param {Int} offset
+     * @param {String} data
+     * @return {Bool}
+     */
+    insertData : function(node, offset, data) {
+        return this.replaceData(node, offset, 0, data);
+    },
+
+    /**
+     * Deletes text from a character data node
+     * 
+     * @param {Text} node
+     * @param {Int} offset
+     * @param {Int} count
+     * @return {Bool}
+     */
+    deleteData : function(node, offset, count) {
+        return this.replaceData(node, offset, count, '');
+    },
+
+    /**
+     * Replaces text of a character data node
+     * 
+     * @param {Text} node
+     * @param {Int} offset
+     * @param {Int} count
+     * @param {String} data
+     * @return {Bool}
+     */
+    replaceData : function(node, offset, count, data) {
+        this._replaceData(node, offset, count, data);
+        this._sync();
+        return true;
+    },
+
+    /**
+     * Repairs tracked ranges after the document was changed without
+     * using the methods above. A boundary point in a node which left
+     * the document moves to the other boundary point, or failing that
+     * to the position IE kept for the range. Offsets past the end of
+     * their node move to the end. Ranges whose root has left the
+     * document are left as they are.
+     * 
+     * @return {Bool}
+     */
+    refresh : function() {
+        RangeIE.Position.invalidate();
+        this._changed = this._ranges.slice(0);
+        this._sync();
+        return true;
+    },
+
+    /**
+     * Starts tracking a range
+     * 
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {Bool}
+     */
+    _track : function(range) {
+        this._ranges.push(range);
+        return true;
+    },
+
+    /**
+     * Stops tracking a range
+     * 
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {Bool}
+     */
+    _untrack : function(range) {
+        var i;
+        for (i = 0; i < this._changed.length; i++) {
+            if (this._changed[i] === range) {
+                this._changed.splice(i, 1);
+                break;
+            }
+        }
+        for (i = 0; i < this._ranges.length; i++) {
+            if (this._ranges[i] === range) {
+                this._ranges.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Marks a tracked range for _sync to rebuild
+     * 
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {Bool}
+     *         False if the range was already marked
+     */
+    _mark : function(range) {
+        var i;
+        for (i = 0; i < this._changed.length; i++) {
+            if (this._changed[i] === range) {
+                return false;
+            }
+        }
+        this._changed.push(range);
+        return true;
+    },
+
+    /**
+     * Sets the boundary points of a tracked range, marking it for _sync
+     * if they moved
+     * 
+     * @private
+     * @param {RangeIE.Range} range
+     * @param {Object[HTMLElement node, Int offset][]} points
+     * @return {Bool}
+     *         False if the points did not move
+     */
+    _movePoints : function(range, points) {
+        var old;
+        old = range._getBoundaries();
+        if (points[0].node === old[0].node &&
+                points[0].offset === old[0].offset &&
+                points[1].node === old[1].node &&
+                points[1].offset === old[1].offset) {
+            return false;
+        }
+        range._setBoundaries(points);
+        this._mark(range);
+        return true;
+    },
+
+    /**
+     * Calls back with the boundary points of each tracked range, and
+     * stores the points it leaves behind. The TextRanges of the ranges
+     * which moved are updated separately by _sync.
+     * 
+     * @private
+     * @param {Function} callback
+     *        Called with each boundary point
+     * @return {Bool}
+     */
+    _eachPoint : function(callback) {
+        var i, j, points;
+        for (i = 0; i < this._ranges.length; i++) {
+            if (this._ranges[i].startContainer === null) {
+                continue;
+            }
+            points = this._ranges[i]._getBoundaries();
+            for (j = 0; j < points.length; j++) {
+                callback(points[j]);
+            }
+            this._movePoints(this._ranges[i], points);
+        }
+        return true;
+    },
+
+    /**
+     * Inserts a node, following the DOM insert algorithm
+     * 
+     * @private
+     * @param {HTMLElement} parent
+     * @param {HTMLElement|DocumentFragment} node
+     * @param {HTMLElement|null} refNode
+     * @return {Bool}
+     */
+    _insert : function(parent, node, refNode) {
+        var index, count;
+        RangeIE.Position.invalidate();
+        if (node === refNode) {
+            refNode = refNode.nextSibling;
+        }
+        if (node.parentNode !== null && node.parentNode !== undefined &&
+                node.nodeType !== 11) {
+            this._remove(node);
+        }
+        if (refNode === null) {
+            index = parent.childNodes.length;
+        }
+        else {
+            index = RangeIE.Dom.getNodeIndex(refNode);
+        }
+        if (node.nodeType === 11) {
+            count = node.childNodes.length;
+        }
+        else {
+            count = 1;
+        }
+        parent.insertBefore(node, refNode);
+        this._eachPoint(function(point) {
+            if (point.node === parent && point.offset > index) {
+                point.offset += count;
+            }
+        });
+        return true;
+    },
+
+    /**
+     * Removes a node, following the DOM remove algorithm
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _remove : function(node) {
+        var parent, index;
+        RangeIE.Position.invalidate();
+        parent = node.parentNode;
+        index = RangeIE.Dom.getNodeIndex(node);
+        parent.removeChild(node);
+        this._eachPoint(function(point) {
+            if (RangeIE.Dom.isAncestor(node, point.node)) {
+                point.node = parent;
+                point.offset = index;
+            }
+            else if (point.node === parent && point.offset > index) {
+                point.offset--;
+            }
+        });
+        return true;
+    },
+
+    /**
+     * Splits a text node, following the DOM splitText algorithm
+     * 
+     * @private
+     * @param {Text} node
+     * @param {Int} offset
+     * @return {Text}
+     */
+    _split : function(node, offset) {
+        var parent, index, newNode;
+        RangeIE.Position.invalidate();
+        parent = node.parentNode;
+        index = RangeIE.Dom.getNodeIndex(node);
+        newNode = node.splitText(offset);
+        this._eachPoint(function(point) {
+            if (point.node === node && point.offset > offset) {
+                point.node = newNode;
+                point.offset -= offset;
+            }
+            else if (point.node === parent && point.offset > index) {
+                point.offset++;
+            }
+        });
+        return newNode;
+    },
+
+    /**
+     * Merges a text node into the one before it, following the DOM
+     * normalize algorithm
+     * 
+     * @private
+     * @param {Text} node
+     * @param {Text} next
+     * @return {Bool}
+     */
+    _merge : function(node, next) {
+        var parent, index, length;
+        RangeIE.Position.invalidate();
+        parent = node.parentNode;
+        index = RangeIE.Dom.getNodeIndex(next);
+        length = node.length;
+        node.appendData(next.data);
+        this._eachPoint(function(point) {
+            if (point.node === next) {
+                point.node = node;
+                point.offset += length;
+            }
+            else if (point.node === parent && point.offset === index) {
+                point.node = node;
+                point.offset = length;
+            }
+        });
+        this._remove(next);
+        return true;
+    },
+
+    /**
+     * Replaces text, following the DOM replace data algorithm
+     * 
+     * @private
+     * @param {Text} node
+     * @param {Int} offset
+     * @param {Int} count
+     * @param {String} data
+     * @return {Bool}
+     */
+    _replaceData : function(node, offset, count, data) {
+        RangeIE.Position.invalidate();
+        count = Math.min(count, node.length - offset);
+        node.replaceData(offset, count, data);
+        this._eachPoint(function(point) {
+            if (point.node !== node || point.offset <= offset) {
+                return;
+            }
+            if (point.offset <= offset + count) {
+                point.offset = offset;
+            }
+            else {
+                point.offset += data.length - count;
+            }
+        });
+        return true;
+    },
+
+    /**
+     * Moves invalid boundary points of the tracked ranges marked as
+     * changed, then updates their TextRanges and the selection
+     * properties to match, including those of the selections last
+     * passed to SelectionEvents listeners
+     * 
+     * @private
+     * @return {Bool}
+     */
+    _sync : function() {
+        var changed, i, range, points, entries;
+        changed = this._changed;
+        this._changed = [];
+        for (i = 0; i < changed.length; i++) {
+            range = changed[i];
+            if (range.startContainer === null ||
+                    !RangeIE.Dom.isAncestor(range._document,
+                                            range._bounder)) {
+                continue;
+            }
+            points = range._getBoundaries();
+            if (!this._isValid(points[0]) && !this._isValid(points[1])) {
+                range._refresh();
+                points = range._getBoundaries();
+            }
+            else if (!this._isValid(points[0])) {
+                points[0] = points[1];
+            }
+            else if (!this._isValid(points[1])) {
+                points[1] = points[0];
+            }
+            points[0].offset = Math.min(
+                points[0].offset, RangeIE.Dom.getNodeLength(points[0].node)
+            );
+            points[1].offset = Math.min(
+                points[1].offset, RangeIE.Dom.getNodeLength(points[1].node)
+            );
+            range._setRange(points[0].node, points[0].offset,
+                            points[1].node, points[1].offset);
+        }
+        for (i = 0; i < RangeIE._selections.length; i++) {
+            RangeIE._selections[i]._update();
+        }
+        entries = RangeIE.SelectionEvents._entries;
+        for (i = 0; i < entries.length; i++) {
+            if (entries[i].selection !== null) {
+                entries[i].selection._update();
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Determines if a boundary point lies within the document
+     * 
+     * @private
+     * @param {Object[HTMLElement node, Int offset]} point
+     * @return {Bool}
+     */
+    _isValid : function(point) {
+        return RangeIE.Dom.isAncestor(RangeIE.Dom.getDocument(point.node),
+                                      point.node);
+    }
+
+};
+
+/**
+ * Bookmark
+ * 
+ * Records boundary points as plain JSON objects, so that a range or the
+ * selection can be restored after the nodes holding it were replaced.
+ * Each point is stored as the path of child indexes from a root element
+ * to its container, the offset within that container, and the number of
+ * characters of text before it within the root. The character count is
+ * used whenever the path no longer leads to the same place in the text.
+ */
+RangeIE.Bookmark = {
+
+    /**
+     * Gets a bookmark point for a boundary point
+     * 
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @param {HTMLElement} root
+     * @return {Object[Int[] path, Int offset, Int chars]|null}
+     *         Null if the point is not within root
+     */
+    fromPoint : function(node, offset, root) {
+        var path, n;
+        if (node === null || !RangeIE.Dom.isAncestor(root, node)) {
+            return null;
+        }
+        path = [];
+        for (n = node; n !== root; n = n.parentNode) {
+            path.unshift(RangeIE.Dom.getNodeIndex(n));
+        }
+        return {
+            path : path,
+            offset : offset,
+            chars : this._getChars(node, offset, root)
+        };
+    },
+
+    /**
+     * Gets the boundary point for a bookmark point
+     * 
+     * @param {Object[Int[] path, Int offset, Int chars]} point
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    toPoint : function(point, root) {
+        var node, i;
+        node = root;
+        for (i = 0; i < point.path.length && node !== undefined; i++) {
+            node = node.childNodes[point.path[i]];
+        }
+        if (node !== undefined &&
+                point.offset <= RangeIE.Dom.getNodeLength(node) &&
+                this._getChars(node, point.offset, root) === point.chars) {
+            return {
+                node : node,
+                offset : point.offset
+            };
+        }
+        return this._findChars(point.chars, root);
+    },
+
+    /**
+     * Converts a bookmark to a string of URL safe characters
+     * 
+     * @param {Object} bookmark
+     * @return {String}
+     */
+    serialize : function(bookmark) {
+        var ret;
+        ret = this._serializePoint(bookmark.start) + '_' +
+              this._serializePoint(bookmark.end);
+        if (bookmark.backwards) {
+            ret += '_b';
+        }
+        return ret;
+    },
+
+    /**
+     * Converts a string made by serialize back to a bookmark
+     * 
+     * @param {String} str
+     * @throws {RangeIE.DOMException}
+     *         SYNTAX_ERR if str is not a serialized bookmark
+     * @return {Object}
+     */
+    deserialize : function(str) {
+        var parts;
+        str = String(str);
+        if (!/^(\d+(\.\d+)*)?~\d+~\d+_(\d+(\.\d+)*)?~\d+~\d+(_b)?$/.test(
+                str)) {
+            throw (new RangeIE.DOMException(
+                RangeIE.DOMException.SYNTAX_ERR,
+                "deserialize: '" + str + "' is not a serialized bookmark."
+            ));
+        }
+        parts = str.split('_');
+        return {
+            start : this._deserializePoint(parts[0]),
+            end : this._deserializePoint(parts[1]),
+            backwards : (parts.length > 2)
+        };
+    },
+
+    /**
+     * Converts a bookmark point to a string
+     * 
+     * @private
+     * @param {Object[Int[] path, Int offset, Int chars]} point
+     * @return {String}
+     */
+    _serializePoint : function(point) {
+        return point.path.join('.') + '~' + point.offset + '~' + point.chars;
+    },
+
+    /**
+     * Converts a string made by _serializePoint back to a bookmark point
+     * 
+     * @private
+     * @param {String} str
+     * @return {Object[Int[] path, Int offset, Int chars]}
+     */
+    _deserializePoint : function(str) {
+        var parts, path, i;
+        parts = str.split('~');
+        path = [];
+        if (parts[0] !== '') {
+            path = parts[0].split('.');
+            for (i = 0; i < path.length; i++) {
+                path[i] = parseInt(path[i], 10);
+            }
+        }
+        return {
+            path : path,
+            offset : parseInt(parts[1], 10),
+            chars : parseInt(parts[2], 10)
+        };
+    },
+
+    /**
+     * Counts the characters of text within root which come before a
+     * boundary point
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     * @param {HTMLElement} root
+     * @return {Int}
+     */
+    _getChars : function(node, offset, root) {
+        var last;
+        if (RangeIE.Dom.isCharacterData(node)) {
+            return (this._countBefore(node, root) +
+                    (RangeIE.Dom.isTextNode(node) ? offset : 0));
+        }
+        if (offset < node.childNodes.length) {
+            return this._countBefore(node.childNodes[offset], root);
+        }
+        last = this._getLast(node);
+        return (this._countBefore(last, root) +
+                this._getTextLength(last));
+    },
+
+    /**
+     * Counts the characters of the text nodes before a node in document
+     * order, within root
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} root
+     * @return {Int}
+     */
+    _countBefore : function(node, root) {
+        var count;
+        count = 0;
+        for (node = this._getPrevious(node, root); node !== null;
+                node = this._getPrevious(node, root)) {
+            count += this._getTextLength(node);
+        }
+        return count;
+    },
+
+    /**
+     * Finds the boundary point after a number of characters of text
+     * within root. Points past the end of the text move to the end.
+     * 
+     * @private
+     * @param {Int} chars
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _findChars : function(chars, root) {
+        var n, last;
+        last = null;
+        for (n = this._getNext(root, root); n !== null;
+                n = this._getNext(n, root)) {
+            if (RangeIE.Dom.isTextNode(n)) {
+                if (chars <= n.length) {
+                    return {
+                        node : n,
+                        offset : chars
+                    };
+                }
+                chars -= n.length;
+                last = n;
+            }
+        }
+        if (last !== null) {
+            return {
+                node : last,
+                offset : last.length
+            };
+        }
+        return {
+            node : root,
+            offset : root.childNodes.length
+        };
+    },
+
+    /**
+     * Gets the length of a node counted by _getChars
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {Int}
+     */
+    _getTextLength : function(node) {
+        if (RangeIE.Dom.isTextNode(node)) {
+            return node.length;
+        }
+        return 0;
+    },
+
+    /**
+     * Gets the last descendant of a node, or the node itself if it has
+     * no children
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {HTMLElement}
+     */
+    _getLast : function(node) {
+        while (node.lastChild !== null) {
+            node = node.lastChild;
+        }
+        return node;
+    },
+
+    /**
+     * Gets the node after a node in document order, within root
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} root
+     * @return {HTMLElement|null}
+     */
+    _getNext : function(node, root) {
+        if (node.firstChild !== null) {
+            return node.firstChild;
+        }
+        while (node !== root) {
+            if (node.nextSibling !== null) {
+                return node.nextSibling;
+            }
+            node = node.parentNode;
+        }
+        return null;
+    },
+
+    /**
+     * Gets the node before a node in document order, within root
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} root
+     * @return {HTMLElement|null}
+     */
+    _getPrevious : function(node, root) {
+        if (node === root) {
+            return null;
+        }
+        if (node.previousSibling !== null) {
+            return this._getLast(node.previousSibling);
+        }
+        if (node.parentNode === root) {
+            return null;
+        }
+        return node.parentNode;
+    }
+
+};
+
+/**
+ * Position
+ * 
+ * Maps DOM boundary points to TextRange positions and back. Positions
+ * are located by briefly inserting an empty marker element into the
+ * document, so the mapping never depends on text content being unique.
+ * Character offsets inside text nodes are translated between raw node
+ * values and rendered TextRange text, which collapses whitespace.
+ * The TextRange found for each marker position is cached until the
+ * document changes, so repeated lookups insert few markers.
+ */
+RangeIE.Position = {
+
+    /**
+     * Cached boundary TextRanges of recently used containers, most
+     * recently used first
+     * 
+     * @private
+     * @type {Object[HTMLElement node, HTMLElement[] children,
+     *               Int[] lengths, TextRange[] ranges, Int call][]}
+     */
+    _cache : [],
+
+    /**
+     * Number of the current toTextRange or fromTextRange call. A cache
+     * entry is checked against its container once per call, as the
+     * document does not change during one.
+     * 
+     * @private
+     * @type {Int}
+     */
+    _call : 0,
+
+    /**
+     * Most containers kept in the cache
+     * 
+     * @private
+     * @type {Int}
+     */
+    _cacheSize : 32,
+
+    /**
+     * Gets a collapsed TextRange positioned at a DOM boundary point.
+     * Comments and CDATA are not rendered, so points within them are
+     * placed before the node when at its start and after it otherwise.
+     * 
+     * @param {HTMLElement} node
+     * @param {Int} offset
+     *        Character offset for character data, child index otherwise
+     * @return {TextRange}
+     */
+    toTextRange : function(node, offset) {
+        var range, map, index;
+        this._call++;
+        if (!RangeIE.Dom.isCharacterData(node)) {
+            return this._getBoundary(node, offset).duplicate();
+        }
+        index = RangeIE.Dom.getNodeIndex(node);
+        if (!RangeIE.Dom.isTextNode(node)) {
+            if (offset > 0) {
+                index++;
+            }
+            return this._getBoundary(node.parentNode, index).duplicate();
+        }
+        if (offset <= 0) {
+            return this._getBoundary(node.parentNode, index).duplicate();
+        }
+        if (offset >= node.length) {
+            return this._getBoundary(node.parentNode, index + 1).duplicate();
+        }
+        range = this._getBoundary(node.parentNode, index).duplicate();
+        map = this._mapText(node.nodeValue, this._getRenderedText(node));
+        range.move('character', map[offset]);
+        return range;
+    },
+
+    /**
+     * Gets a TextRange holding the document selection. A control
+     * selection, such as a selected image, gives a TextRange around
+     * its element, as control ranges have no text boundaries.
+     * 
+     * @param {Document} doc
+     * @return {TextRange}
+     */
+    fromSelection : function(doc) {
+        var range, element, index;
+        range = RangeIE.backend.getSelectionRange(doc);
+        if (range.compareEndPoints !== undefined) {
+            return range;
+        }
+        if (range.length === 0) {
+            range = RangeIE.backend.createRange(doc);
+            range.collapse(true);
+            return range;
+        }
+        element = range.item(0);
+        index = RangeIE.Dom.getNodeIndex(element);
+        range = this.toTextRange(element.parentNode, index);
+        range.setEndPoint('EndToEnd',
+                          this.toTextRange(element.parentNode, index + 1));
+        return range;
+    },
+
+    /**
+     * Gets the DOM boundary point of one end of a TextRange.
+     * Points outside of root are clamped to the edges of root.
+     * 
+     * The point is located in the element IE reports as its parent,
+     * by a binary search over the boundaries between its children.
+     * 
+     * @param {TextRange} range
+     * @param {Bool} isStart
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    fromTextRange : function(range, isStart, root) {
+        var point, container, found, next, working;
+        this._call++;
+        point = range.duplicate();
+        point.collapse(isStart);
+        container = point.parentElement();
+        if (!RangeIE.Dom.isAncestor(root, container)) {
+            return this._clampToRoot(point, root);
+        }
+        while (true) {
+            found = this._search(container, point);
+            next = container.childNodes[found.index] || null;
+            // The point lies within the following element
+            if (found.comparison < 0 && next !== null &&
+                    next.nodeType === 1 && !this._isAtomic(next)) {
+                container = next;
+                continue;
+            }
+            if (found.comparison < 0 && next !== null &&
+                    RangeIE.Dom.isTextNode(next)) {
+                working = this._getBoundary(container,
+                                            found.index).duplicate();
+                working.setEndPoint('EndToStart', point);
+                return this._getTextPoint(next, working.text);
+            }
+            return this._getNearestPoint(container, found.index);
+        }
+    },
+
+    /**
+     * Forgets all cached boundaries. Called whenever the document is
+     * changed.
+     * 
+     * @return {Bool}
+     */
+    invalidate : function() {
+        this._cache = [];
+        return true;
+    },
+
+    /**
+     * Invalidates the cache whenever the user edits a document
+     * 
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    listen : function(doc) {
+        var self, types, i;
+        self = this;
+        types = ['keydown', 'keyup', 'cut', 'paste', 'drop'];
+        for (i = 0; i < types.length; i++) {
+            RangeIE.Dom.addEvent(doc, types[i], function() {
+                self.invalidate();
+            });
+        }
+        return true;
+    },
+
+    /**
+     * Finds the last boundary between the children of container which
+     * is not after a point
+     * 
+     * @private
+     * @param {HTMLElement} container
+     * @param {TextRange} point
+     * @return {Object[Int index, Int comparison]}
+     *         The child index of the boundary, and how it compares with
+     *         the point. The first boundary is given, with a comparison
+     *         of 1, if every boundary is after the point.
+     */
+    _search : function(container, point) {
+        var low, high, middle, comparison, found;
+        found = {
+            index : 0,
+            comparison : 1
+        };
+        low = 0;
+        high = container.childNodes.length;
+        while (low <= high) {
+            middle = Math.floor((low + high) / 2);
+            comparison = this._getBoundary(container, middle)
+                .compareEndPoints('StartToStart', point);
+            if (comparison <= 0) {
+                found.index = middle;
+                found.comparison = comparison;
+                low = middle + 1;
+            }
+            else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    },
+
+    /**
+     * Gets the cached collapsed TextRange positioned before a child of
+     * container. The TextRange must be duplicated before it is changed.
+     * 
+     * @private
+     * @param {HTMLElement} container
+     * @param {Int} index
+     *        Child index, or the number of children for the end
+     * @return {TextRange}
+     */
+    _getBoundary : function(container, index) {
+        var entry;
+        entry = this._getCacheEntry(container);
+        if (entry.ranges[index] === undefined) {
+            entry.ranges[index] = this._getMarkerRange(
+                container, container.childNodes[index] || null
+            );
+        }
+        return entry.ranges[index];
+    },
+
+    /**
+     * Gets the cache entry of a container, making it the most recently
+     * used. An entry is emptied when the children of the container, or
+     * the lengths of its text children, have changed since the last
+     * call it was used in.
+     * 
+     * @private
+     * @param {HTMLElement} container
+     * @return {Object[HTMLElement node, HTMLElement[] children,
+     *                 Int[] lengths, TextRange[] ranges, Int call]}
+     */
+    _getCacheEntry : function(container) {
+        var entry, i;
+        entry = null;
+        for (i = 0; i < this._cache.length; i++) {
+            if (this._cache[i].node === container) {
+                entry = this._cache.splice(i, 1)[0];
+                break;
+            }
+        }
+        if (entry === null ||
+                (entry.call !== this._call && !this._isCurrent(entry))) {
+            entry = {
+                node : container,
+                children : [],
+                lengths : [],
+                ranges : []
+            };
+            for (i = 0; i < container.childNodes.length; i++) {
+                entry.children.push(container.childNodes[i]);
+                entry.lengths.push(
+                    RangeIE.Dom.getNodeLength(container.childNodes[i])
+                );
+            }
+        }
+        entry.call = this._call;
+        this._cache.unshift(entry);
+        if (this._cache.length > this._cacheSize) {
+            this._cache.pop();
+        }
+        return entry;
+    },
+
+    /**
+     * Determines if a cache entry still matches its container
+     * 
+     * @private
+     * @param {Object[HTMLElement node, HTMLElement[] children,
+     *                Int[] lengths, TextRange[] ranges, Int call]} entry
+     * @return {Bool}
+     */
+    _isCurrent : function(entry) {
+        var children, i;
+        children = entry.node.childNodes;
+        if (children.length !== entry.children.length) {
+            return false;
+        }
+        for (i = 0; i < children.length; i++) {
+            if (children[i] !== entry.children[i] ||
+                    RangeIE.Dom.getNodeLength(children[i]) !==
+                        entry.lengths[i]) {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Gets a collapsed TextRange positioned before a child node
+     * 
+     * @private
+     * @param {HTMLElement} parent
+     * @param {HTMLElement|null} refChild
+     *        Position before this child, or at the end of parent if null
+     * @return {TextRange}
+     */
+    _getMarkerRange : function(parent, refChild) {
+        var marker, range;
+        marker = parent.ownerDocument.createElement('span');
+        parent.insertBefore(marker, refChild);
+        range = RangeIE.backend.createRange(parent.ownerDocument);
+        range.moveToElementText(marker);
+        range.collapse(true);
+        parent.removeChild(marker);
+        return range;
+    },
+
+    /**
+     * Gets the text of a text node as rendered by a TextRange
+     * 
+     * @private
+     * @param {Text} node
+     * @return {String}
+     */
+    _getRenderedText : function(node) {
+        var index, before, after;
+        index = RangeIE.Dom.getNodeIndex(node);
+        before = this._getBoundary(node.parentNode, index).duplicate();
+        after = this._getBoundary(node.parentNode, index + 1);
+        before.setEndPoint('EndToStart', after);
+        return before.text;
+    },
+
+    /**
+     * Maps each offset of a raw node value to an offset of its rendered
+     * text. Whitespace runs in the raw value may be rendered as fewer
+     * characters, or as none at all.
+     * 
+     * @private
+     * @param {String} raw
+     * @param {String} rendered
+     * @return {Int[]}
+     */
+    _mapText : function(raw, rendered) {
+        var map, i, j, c;
+        map = [];
+        i = 0;
+        j = 0;
+        while (i < raw.length) {
+            map[i] = j;
+            c = raw.charAt(i);
+            if (this._isCollapsible(c)) {
+                if (j < rendered.length &&
+                        this._isSpace(rendered.charAt(j))) {
+                    if (rendered.substr(j, 2) === '\r\n') {
+                        j++;
+                    }
+                    j++;
+                }
+                i++;
+                while (i < raw.length &&
+                        this._isCollapsible(raw.charAt(i)) &&
+                        !(j < rendered.length &&
+                          this._isSpace(rendered.charAt(j)))) {
+                    map[i] = j;
+                    i++;
+                }
+            }
+            else {
+                if (j < rendered.length) {
+                    j++;
+                }
+                i++;
+            }
+        }
+        map[raw.length] = j;
+        return map;
+    },
+
+    /**
+     * Determines if a raw character takes part in whitespace collapsing
+     * 
+     * @private
+     * @param {String} c
+     * @return {Bool}
+     */
+    _isCollapsible : function(c) {
+        return (c === ' ' || c === '\t' || c === '\n' || c === '\r' ||
+                c === '\f');
+    },
+
+    /**
+     * Determines if a rendered character is whitespace
+     * 
+     * @private
+     * @param {String} c
+     * @return {Bool}
+     */
+    _isSpace : function(c) {
+        return (this._isCollapsible(c) || c === '\u00a0');
+    },
+
+    /**
+     * Finds the point reached by consuming rendered text forward
+     * from the start of a run of text nodes
+     * 
+     * @private
+     * @param {Text} node
+     * @param {String} rendered
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _getTextPoint : function(node, rendered) {
+        var last, map, i;
+        last = node;
+        while (node !== null &&
+                (RangeIE.Dom.isTextNode(node) || node.nodeType === 8)) {
+            if (node.nodeType === 3) {
+                map = this._mapText(node.nodeValue, rendered);
+                if (map[node.length] >= rendered.length) {
+                    i = 0;
+                    while (map[i] < rendered.length) {
+                        i++;
+                    }
+                    return {
+                        node : node,
+                        offset : i
+                    };
+                }
+                rendered = rendered.substring(map[node.length]);
+                last = node;
+            }
+            node = node.nextSibling;
+        }
+        return {
+            node : last,
+            offset : last.length
+        };
+    },
+
+    /**
+     * Gets the point at a child index, preferring the end of the deepest
+     * preceding text node or the start of the deepest following one over
+     * the element itself
+     * 
+     * @private
+     * @param {HTMLElement} container
+     * @param {Int} index
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _getNearestPoint : function(container, index) {
+        var prev, next;
+        prev = this._getEdgeText(container.childNodes[index - 1], true);
+        next = this._getEdgeText(container.childNodes[index], false);
+        if (prev !== null) {
+            return {
+                node : prev,
+                offset : prev.length
+            };
+        }
+        else if (next !== null) {
+            return {
+                node : next,
+                offset : 0
+            };
+        }
+        else {
+            return {
+                node : container,
+                offset : index
+            };
+        }
+    },
+
+    /**
+     * Descends through the first or last children of nested inline
+     * elements to find the text node at their edge. Block elements are
+     * not entered, as their edges are separate positions on other lines.
+     * 
+     * @private
+     * @param {HTMLElement|undefined} node
+     * @param {Bool} fromEnd
+     * @return {Text|null}
+     */
+    _getEdgeText : function(node, fromEnd) {
+        while (node !== undefined && node !== null && node.nodeType === 1 &&
+                !this._isAtomic(node) && !this._isBlock(node)) {
+            node = (fromEnd ? node.lastChild : node.firstChild);
+        }
+        if (node !== undefined && node !== null &&
+                RangeIE.Dom.isTextNode(node)) {
+            return node;
+        }
+        else {
+            return null;
+        }
+    },
+
+    /**
+     * Determines if an element can not hold a boundary point inside it
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _isAtomic : function(node) {
+        return (node.canHaveHTML === false ||
+                node.nodeName.toLowerCase() === 'br');
+    },
+
+    /**
+     * Determines if an element is laid out as a block, which starts
+     * a new line in TextRange text
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @return {Bool}
+     */
+    _isBlock : function(node) {
+        var display;
+        if (node.currentStyle !== undefined && node.currentStyle !== null) {
+            display = node.currentStyle.display;
+            return (display !== 'inline' && display !== 'inline-block' &&
+                    display !== 'none');
+        }
+        return ((' address blockquote center dd div dl dt fieldset form ' +
+                 'h1 h2 h3 h4 h5 h6 hr li ol p pre table tbody td th ' +
+                 'thead tfoot tr ul ').indexOf(
+                     ' ' + node.nodeName.toLowerCase() + ' ') !== -1);
+    },
+
+    /**
+     * Gets the nearest edge of root for a point outside of it
+     * 
+     * @private
+     * @param {TextRange} point
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
+     */
+    _clampToRoot : function(point, root) {
+        var working;
+        working = RangeIE.backend.createRange(root.ownerDocument);
+        working.moveToElementText(root);
+        if (point.compareEndPoints('StartToStart', working) <= 0) {
+            return this._getNearestPoint(root, 0);
+        }
+        else {
+            return this._getNearestPoint(root, root.childNodes.length);
+        }
+    }
+
+};
+
+/**
+ * Direction
+ * 
+ * IE does not report which end of the document selection is the anchor.
+ * Direction records the anchor from mouse and keyboard events, so that
+ * backwards selections, made by dragging or shift-extending towards the
+ * start of the document, can be detected.
+ */
+RangeIE.Direction = {
+
+    /**
+     * Collapsed TextRanges at the anchor of the document selection,
+     * one for each document
+     * 
+     * @private
+     * @type {Object[Document document, TextRange range][]}
+     */
+    _anchors : [],
+
+    /**
+     * Starts tracking the selection direction in a document
+     * 
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    listen : function(doc) {
+        var self;
+        self = this;
+        RangeIE.Dom.addEvent(doc, 'mousedown', function(e) {
+            self._onMouseDown(doc, e || doc.parentWindow.event);
+        });
+        RangeIE.Dom.addEvent(doc, 'mouseup', function() {
+            self._update(doc);
+        });
+        RangeIE.Dom.addEvent(doc, 'keydown', function() {
+            self._update(doc);
+        });
+        RangeIE.Dom.addEvent(doc, 'keyup', function() {
+            self._update(doc);
+        });
+        return true;
+    },
+
+    /**
+     * Determines if a TextRange is selected from its end to its start
+     * 
+     * @param {TextRange} range
+     * @param {Document} doc
+     *        The document of range
+     * @return {Bool}
+     */
+    isBackwards : function(range, doc) {
+        var anchor;
+        anchor = this._getAnchor(doc);
+        if (anchor === null) {
+            return false;
+        }
+        return (range.compareEndPoints('StartToEnd', range) < 0 &&
+                range.compareEndPoints('EndToStart', anchor) === 0);
+    },
+
+    /**
+     * Records the anchor of a TextRange being selected
+     * 
+     * @param {TextRange} range
+     * @param {Bool} backwards
+     * @param {Document} doc
+     *        The document of range
+     * @return {Bool}
+     */
+    setAnchor : function(range, backwards, doc) {
+        var anchor;
+        anchor = range.duplicate();
+        anchor.collapse(!backwards);
+        this._setAnchor(doc, anchor);
+        return true;
+    },
+
+    /**
+     * Gets the anchor recorded for a document
+     * 
+     * @private
+     * @param {Document} doc
+     * @return {TextRange|null}
+     */
+    _getAnchor : function(doc) {
+        var i;
+        for (i = 0; i < this._anchors.length; i++) {
+            if (this._anchors[i].document === doc) {
+                return this._anchors[i].range;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Records the anchor for a document
+     * 
+     * @private
+     * @param {Document} doc
+     * @param {TextRange|null} anchor
+     * @return {Bool}
+     */
+    _setAnchor : function(doc, anchor) {
+        var i;
+        for (i = 0; i < this._anchors.length; i++) {
+            if (this._anchors[i].document === doc) {
+                this._anchors[i].range = anchor;
+                return true;
+            }
+        }
+        this._anchors.push({
+            document : doc,
+            range : anchor
+        });
+        return true;
+    },
+
+    /**
+     * Anchors a new mouse selection where the button was pressed.
+     * Shift-clicks extend the existing selection, so keep its anchor.
+     * 
+     * @private
+     * @param {Document} doc
+     * @param {Event} e
+     * @return {Bool}
+     */
+    _onMouseDown : function(doc, e) {
+        var target, range;
+        target = e.target || e.srcElement;
+        if (e.shiftKey || !target || target.isContentEditable === false) {
+            return false;
+        }
+        range = RangeIE.backend.createRange(doc);
+        // IE throws when the point is not over any text
+        try {
+            range.moveToPoint(e.clientX, e.clientY);
+            this._setAnchor(doc, range);
+        }
+        catch (err) {
+            this._setAnchor(doc, null);
+        }
+        return true;
+    },
+
+    /**
+     * Re-anchors the document selection after it may have changed.
+     * The anchor stays on whichever edge of the selection it lies on
+     * or beyond.
+     * 
+     * @private
+     * @param {Document} doc
+     * @return {Bool}
+     */
+    _update : function(doc) {
+        var range, anchor;
+        range = RangeIE.Position.fromSelection(doc);
+        anchor = this._getAnchor(doc);
+        if (anchor !== null &&
+                anchor.compareEndPoints('StartToEnd', range) >= 0 &&
+                range.compareEndPoints('StartToEnd', range) < 0) {
+            this.setAnchor(range, true, doc);
+        }
+        else {
+            this.setAnchor(range, false, doc);
+        }
+        return true;
+    }
+
+};
+
+/**
+ * SelectionEvents
+ * 
+ * Notifies listeners when the selection moves within an editable element.
+ * IE fires selectionchange, keyup and mouseup for many actions which leave
+ * the selection where it was, so a listener is only called when the
+ * start or end boundary has actually changed since its last call.
+ */
+RangeIE.SelectionEvents = {
+
+    /**
+     * Registered listeners
+     * 
+     * @private
+     * @type {Object[]}
+     */
+    _entries : [],
+
+    /**
+     * Adds a listener for selection changes within an element. The
+     * listener is passed a new RangeIE.Selection, whose range stays
+     * live until the listener is next called.
+     * 
+     * @param {HTMLElement} element
+     * @param {Function} listener
+     * @return {Bool}
+     */
+    add : function(element, listener) {
+        var self, entry;
+        self = this;
+        entry = {
+            element : element,
+            listener : listener,
+            points : null,
+            selection : null,
+            handler : function() {
+                self._notify(entry);
+            }
+        };
+        RangeIE.Dom.addEvent(element.ownerDocument, 'selectionchange',
+                             entry.handler);
+        RangeIE.Dom.addEvent(element, 'keyup', entry.handler);
+        RangeIE.Dom.addEvent(element, 'mouseup', entry.handler);
+        this._entries.push(entry);
+        return true;
+    },
+
+    /**
+     * Removes a listener added with add
+     * 
+     * @param {HTMLElement} element
+     * @param {Function} listener
+     * @return {Bool}
+     *         False if the listener was not registered for element
+     */
+    remove : function(element, listener) {
+        var i, entry;
+        for (i = 0; i < this._entries.length; i++) {
+            entry = this._entries[i];
+            if (entry.element === element && entry.listener === listener) {
+                RangeIE.Dom.removeEvent(element.ownerDocument,
+                                        'selectionchange', entry.handler);
+                RangeIE.Dom.removeEvent(element, 'keyup', entry.handler);
+                RangeIE.Dom.removeEvent(element, 'mouseup', entry.handler);
+                if (entry.selection !== null) {
+                    entry.selection._release();
+                }
+                this._entries.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Calls a listener if the selection within its element has moved
+     * 
+     * @private
+     * @param {Object} entry
+     * @return {Bool}
+     *         True if the listener was called
+     */
+    _notify : function(entry) {
+        var selection, range, points;
+        selection = new RangeIE.Selection(entry.element.ownerDocument);
+        range = selection._ranges[0];
+        points = range._getBoundaries();
+        if (!RangeIE.Dom.isAncestor(entry.element,
+                                    range.commonAncestorContainer)) {
+            selection._release();
+            entry.points = null;
+            return false;
+        }
+        if (entry.points !== null &&
+                entry.points[0].node === points[0].node &&
+                entry.points[0].offset === points[0].offset &&
+                entry.points[1].node === points[1].node &&
+                entry.points[1].offset === points[1].offset) {
+            selection._release();
+            return false;
+        }
+        if (entry.selection !== null) {
+            entry.selection._release();
+        }
+        entry.points = points;
+        entry.selection = selection;
+        entry.listener(selection);
+        return true;
+    }
+
+};
+
+/**
+ * ClassApplier
+ * 
+ * Applies a CSS class to the text of a range by wrapping each text node
+ * it covers in an element, such as <span class="highlight">, and removes
+ * it again. Text nodes are split at the boundaries of the range, and
+ * adjacent wrappers are merged. The boundary points of tracked ranges,
+ * including the document selection, are kept on the same text.
+ * 
+ * @constructor
+ * @param {String} className
+ * @param {Object} options
+ *        Optional. The tagName property gives the element used to wrap
+ *        text, and defaults to span.
+ */
+RangeIE.ClassApplier = function(className, options) {
+    if (options === undefined || options === null) {
+        options = {};
+    }
+    this.className = className;
+    this.tagName = (options.tagName || 'span').toLowerCase();
+};
+
+/**
+ * ClassApplier Instance Methods
+ */
+RangeIE.ClassApplier.prototype = {
+
+    /**
+     * Applies the class to all text within the range
+     * 
+     * @param {RangeIE.Range} range
+     * @return {Bool}
+     */
+    applyToRange : function(range) {
+        var selection;
+        range._checkState('applyToRange');
+        selection = this._getSelection(range);
+        this._apply(range);
+        this._finish(selection);
+        return true;
     },
 
     /**
-     * Collapses the Range to one of its boundary points.
+     * Removes the class from all text within the range. Wrappers which
+     * also hold text outside of the range are split, and wrappers left
+     * without a class or other attributes are removed.
      * 
-     * @see https://developer.mozilla.org/en/DOM/range.collapse
-     * @param {Bool} toStart
+     * @param {RangeIE.Range} range
      * @return {Bool}
      */
-    collapse : function(toStart) {
-        this._range.collapse(toStart);
-        this._refresh();
+    undoToRange : function(range) {
+        var selection, nodes, points, parents, i, ancestor;
+        range._checkState('undoToRange');
+        selection = this._getSelection(range);
+        nodes = this._splitRange(range);
+        points = this._savePoints();
+        parents = [];
+        for (i = 0; i < nodes.length; i++) {
+            while ((ancestor = this._getAppliedAncestor(nodes[i],
+                    range._bounder)) !== null) {
+                this._isolate(nodes[i], ancestor);
+                parents.push(ancestor.parentNode);
+                this._unwrap(ancestor);
+            }
+        }
+        this._restorePoints(points);
+        this._normalize(parents);
+        this._finish(selection);
         return true;
     },
 
     /**
-     * Sets the Range to contain the node and its contents.
+     * Applies the class to the range, or removes it if all text within
+     * the range already has it
      * 
-     * @see https://developer.mozilla.org/en/DOM/range.insertNode
-     * @param {HTMLElement} referenceNode
+     * @param {RangeIE.Range} range
      * @return {Bool}
      */
-    insertNode : function(referenceNode) {
-        var data;
-        if (this._isTextNode(referenceNode)) {
-            data = referenceNode.nodeValue;
+    toggleRange : function(range) {
+        if (this.isAppliedToRange(range)) {
+            return this.undoToRange(range);
         }
         else {
-            data = referenceNode.outerHTML;
+            return this.applyToRange(range);
         }
-        this.collapse(true);
-        this._range.pasteHTML(data);
-        this._refresh();
-        return this.commonAncestorContainer;
     },
 
     /**
-     * Releases Range from use to improve performance.
+     * Determines if all text within the range has the class. A range
+     * holding no text has it if its start does.
      * 
-     * @see https://developer.mozilla.org/en/DOM/range.detach
+     * @param {RangeIE.Range} range
      * @return {Bool}
      */
-    detach : function() {
-        delete this._range;
-        this._reset();
+    isAppliedToRange : function(range) {
+        var nodes, i;
+        range._checkState('isAppliedToRange');
+        nodes = this._getTextNodes(range);
+        if (nodes.length === 0) {
+            return (this._getAppliedAncestor(range.startContainer,
+                                             range._bounder) !== null);
+        }
+        for (i = 0; i < nodes.length; i++) {
+            if (this._getAppliedAncestor(nodes[i], range._bounder) === null) {
+                return false;
+            }
+        }
         return true;
     },
 
     /**
-     * Removes the contents of a Range from the document.
+     * Wraps the text of the range in elements with the class, keeping
+     * tracked ranges on the same text. The ranges and selection are
+     * left for _finish to rebuild, so that several ranges can be
+     * applied before it is called once.
      * 
-     * @see https://developer.mozilla.org/en/DOM/range.deleteContents
+     * @private
+     * @param {RangeIE.Range} range
      * @return {Bool}
      */
-    deleteContents : function() {
-        window.document.execCommand('Delete');
-        this._reset();
+    _apply : function(range) {
+        var nodes, points, elements, i, element;
+        nodes = this._splitRange(range);
+        points = this._savePoints();
+        elements = [];
+        for (i = 0; i < nodes.length; i++) {
+            if (this._getAppliedAncestor(nodes[i], range._bounder) !== null) {
+                continue;
+            }
+            element = range._document.createElement(this.tagName);
+            element.className = this.className;
+            RangeIE.Mutation._insert(nodes[i].parentNode, element, nodes[i]);
+            RangeIE.Mutation._insert(element, nodes[i], null);
+            elements.push(element);
+        }
+        elements = this._mergeElements(elements);
+        this._restorePoints(points);
+        this._normalize(elements);
         return true;
     },
 
     /**
-     * Returns the text of the Range 
+     * Gets the text nodes holding text of the range. Whitespace which
+     * only separates block elements is left out, as wrapping it would
+     * change the layout.
      * 
-     * @see https://developer.mozilla.org/en/DOM/range.toString
-     * @return {String}
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {Text[]}
      */
-    toString : function() {
-        var ret;
-        ret = this._range.text;
+    _getTextNodes : function(range) {
+        var nodes, ret, i;
+        nodes = range._getTextNodes();
+        ret = [];
+        for (i = 0; i < nodes.length; i++) {
+            if (!this._isIgnorable(nodes[i])) {
+                ret.push(nodes[i]);
+            }
+        }
         return ret;
     },
 
     /**
-     * Selects node
+     * Splits the text nodes at the boundaries of the range, so that
+     * each text node within it is wholly selected
      * 
-     * @param {HTMLElement} referenceNode
-     * @return {Bool}
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {Text[]}
      */
-    _selectNode : function(referenceNode) {
-        if (this._isTextNode(referenceNode)) {
-            return this._selectTextNode(referenceNode);
+    _splitRange : function(range) {
+        var dom, node, offset;
+        dom = RangeIE.Dom;
+        node = range.endContainer;
+        offset = range.endOffset;
+        if (dom.isTextNode(node) && offset > 0 && offset < node.length) {
+            RangeIE.Mutation._split(node, offset);
         }
-        else {
-            return this._selectElmNode(referenceNode);
+        node = range.startContainer;
+        offset = range.startOffset;
+        if (dom.isTextNode(node) && offset > 0 && offset < node.length) {
+            RangeIE.Mutation._split(node, offset);
         }
+        return this._getTextNodes(range);
     },
 
     /**
-     * Checks if non-print node
+     * Determines if a text node holds only whitespace next to a block
+     * element, or at the edge of one
      * 
-     * @param {HTMLELement} node
+     * @private
+     * @param {Text} node
      * @return {Bool}
      */
-    _isNonPrintNode : function(node) {
-        var name;
-        name = node.nodeName.toLowerCase();
-        if (name === 'br') {
-            return true;
-        }
-        else {
+    _isIgnorable : function(node) {
+        var position, prev, next, parent;
+        if (!/^[ \t\r\n\f]*$/.test(node.nodeValue)) {
             return false;
         }
+        position = RangeIE.Position;
+        prev = node.previousSibling;
+        next = node.nextSibling;
+        parent = node.parentNode;
+        return ((prev !== null && prev.nodeType === 1 &&
+                 position._isBlock(prev)) ||
+                (next !== null && next.nodeType === 1 &&
+                 position._isBlock(next)) ||
+                ((prev === null || next === null) &&
+                 position._isBlock(parent)));
     },
 
     /**
-     * Select Node helper for text node
+     * Determines if an element is a wrapper with the class
      * 
      * @private
-     * @param {HTMLElement} referenceNode
+     * @param {HTMLElement} node
      * @return {Bool}
      */
-    _selectTextNode : function(referenceNode) {
-        var c, v, container, success, startPoint;
-        success = false;
-        startPoint = 0;
-        while(true) {
-            this._range.moveToElementText(this._bounder);
-            v = referenceNode.nodeValue;
-            c = this._range.findText(v, startPoint, 6);
-            if (c) {
-                container = this._getTextContainer();
-                if (container === null || container.node === referenceNode) {
-                    success = true;
-                    break;
-                }
-                else {
-                    startPoint +=
-                        (container.absOffset + referenceNode.length);
-                }
-                if (startPoint >= this._bounder.innerText.length) {
-                    break;
-                }
-            }
-            else {
-                break;
+    _isApplied : function(node) {
+        return (node.nodeType === 1 &&
+                node.nodeName.toLowerCase() === this.tagName &&
+                this._hasClass(node));
+    },
+
+    /**
+     * Finds the nearest wrapper with the class which holds a node,
+     * stopping at root
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} root
+     * @return {HTMLElement|null}
+     */
+    _getAppliedAncestor : function(node, root) {
+        while (node !== null && node !== root && node.nodeType !== 9) {
+            if (this._isApplied(node)) {
+                return node;
             }
+            node = node.parentNode;
         }
-        return success;
+        return null;
     },
 
     /**
-     * Select Node helper for non-text node
-     * 
      * @private
-     * @param {HTMLElement} referenceNode
+     * @param {HTMLElement} node
      * @return {Bool}
      */
-    _selectElmNode : function(referenceNode) {
-        this._range.moveToElementText(referenceNode);
-        this._range.moveStart('character', -1);
-        this._range.moveEnd('character', 1);
-        return true;
+    _hasClass : function(node) {
+        return ((' ' + node.className + ' ').replace(/\s+/g, ' ')
+                .indexOf(' ' + this.className + ' ') !== -1);
     },
 
     /**
-     * Reset range properties to no data
+     * Removes the class from a wrapper, and removes the wrapper itself
+     * if it is left with no attributes
      * 
      * @private
+     * @param {HTMLElement} node
      * @return {Bool}
      */
-    _reset : function() {
-        this.commonAncestorContainer = null;
-        this.endContainer = null;
-        this.endOffset = 0;
-        this.startContainer = null;
-        this.endOffset = 0;
+    _unwrap : function(node) {
+        var classes, ret, i;
+        classes = node.className.split(/\s+/);
+        ret = [];
+        for (i = 0; i < classes.length; i++) {
+            if (classes[i] !== '' && classes[i] !== this.className) {
+                ret.push(classes[i]);
+            }
+        }
+        node.className = ret.join(' ');
+        if (ret.length > 0 || this._hasAttributes(node)) {
+            return true;
+        }
+        while (node.firstChild !== null) {
+            RangeIE.Mutation._insert(node.parentNode, node.firstChild, node);
+        }
+        RangeIE.Mutation._remove(node);
         return true;
     },
 
     /**
-     * Populate range properties with relevent data
+     * Determines if an element has attributes other than its class.
+     * IE lists unspecified attributes too, so only specified ones count.
      * 
      * @private
+     * @param {HTMLElement} node
      * @return {Bool}
      */
-    _refresh : function() {
-        container = this._getContainer();
-        if (container === null) {
-            this._reset();
+    _hasAttributes : function(node) {
+        var attributes, i, name;
+        attributes = node.attributes;
+        for (i = 0; i < attributes.length; i++) {
+            name = attributes[i].nodeName.toLowerCase();
+            if (attributes[i].specified && name !== 'class' &&
+                    name !== 'classname') {
+                return true;
+            }
         }
-        else {
-            this.commonAncestorContainer = container.node;
-            this.startContainer = container.node;
-            this.endContainer = container.node;
-            this.startOffset = container.offset;
-            this.endOffset = container.offset;
+        return false;
+    },
+
+    /**
+     * Splits the elements between a node and one of its ancestors, so
+     * that the ancestor holds nothing but the node. Other content moves
+     * into shallow copies of the split elements.
+     * 
+     * @private
+     * @param {HTMLElement} node
+     * @param {HTMLElement} ancestor
+     * @return {Bool}
+     */
+    _isolate : function(node, ancestor) {
+        var mutation, parent, copy;
+        mutation = RangeIE.Mutation;
+        while (node !== ancestor) {
+            parent = node.parentNode;
+            if (node.previousSibling !== null) {
+                copy = parent.cloneNode(false);
+                mutation._insert(parent.parentNode, copy, parent);
+                while (parent.firstChild !== node) {
+                    mutation._insert(copy, parent.firstChild, null);
+                }
+            }
+            if (node.nextSibling !== null) {
+                copy = parent.cloneNode(false);
+                mutation._insert(parent.parentNode, copy, parent.nextSibling);
+                while (parent.lastChild !== node) {
+                    mutation._insert(copy, parent.lastChild, copy.firstChild);
+                }
+            }
+            node = parent;
         }
         return true;
     },
 
     /**
-     * Gets container for a range
+     * Merges wrappers with wrappers next to them which have the same
+     * classes
      * 
      * @private
-     * @return {Object[HTMLElement node, Int offset]|null}
+     * @param {HTMLElement[]} elements
+     * @return {HTMLElement[]}
+     *         The wrappers left in the document
      */
-    _getContainer : function() {
-        var parent, container;
-        parent = this._range.parentElement();
-        // Text Element
-        if (parent === this._bounder) {
-            container = this._getTextContainer();
-        }
-        // Node
-        else {
-            container = this._getNodeContainer();
+    _mergeElements : function(elements) {
+        var ret, i, node, prev, next;
+        ret = [];
+        for (i = 0; i < elements.length; i++) {
+            node = elements[i];
+            if (node.parentNode === null) {
+                continue;
+            }
+            prev = node.previousSibling;
+            if (this._isMergeable(prev, node)) {
+                while (node.firstChild !== null) {
+                    RangeIE.Mutation._insert(prev, node.firstChild, null);
+                }
+                RangeIE.Mutation._remove(node);
+                node = prev;
+            }
+            next = node.nextSibling;
+            if (this._isMergeable(node, next)) {
+                while (next.firstChild !== null) {
+                    RangeIE.Mutation._insert(node, next.firstChild, null);
+                }
+                RangeIE.Mutation._remove(next);
+            }
+            ret.push(node);
         }
-        return container;
+        return ret;
     },
 
     /**
-     * Gets container for a range having a non-text element
+     * Determines if two wrappers can be merged into one
      * 
      * @private
-     * @return {Object[HTMLElement node, Int offset]}
+     * @param {HTMLElement|null} a
+     * @param {HTMLElement|null} b
+     * @return {Bool}
      */
-    _getNodeContainer : function() {
-        var node, offset;
-        node = this._range.parentElement();
-        offset = this._getElmOffset();
-        return {
-            node : node,
-            offset : offset
-        }
+    _isMergeable : function(a, b) {
+        return (a !== null && b !== null && this._isApplied(a) &&
+                this._isApplied(b) && a.className === b.className &&
+                !this._hasAttributes(a) && !this._hasAttributes(b));
     },
 
     /**
-     * Gets container for a range having a text element
+     * Merges adjacent text nodes within each parent
      * 
-     * @todo BrendonCrawford this method for getting the container
-     *       needs to be eventually completely overhauled. As of now, this
-     *       method is not perfectly reliable.
      * @private
-     * @return {Object[HTMLElement node, Int offset]|null}
+     * @param {HTMLElement[]} parents
+     * @return {Bool}
      */
-    _getTextContainer : function() {
-        var cnode, node, i, txtLen, totLen, childs, offsetFinder;
-        childs = this._bounder.childNodes;
-        offsetFinder = this._getTextAbsOffset();
-        if (offsetFinder.nodeIndex >= 0) {
-            // Not exactly sre why, but sometimes a higher nodeIndex will
-            // be returned which does represent a real node.
-            node = null;
-            do {
-                node = childs[offsetFinder.nodeIndex];
-                if (node === undefined) {
-                    offsetFinder.nodeIndex--;
+    _normalize : function(parents) {
+        var dom, i, node;
+        dom = RangeIE.Dom;
+        for (i = 0; i < parents.length; i++) {
+            if (!RangeIE.Dom.isAncestor(RangeIE.Dom.getDocument(parents[i]),
+                                        parents[i])) {
+                continue;
+            }
+            node = parents[i].firstChild;
+            while (node !== null) {
+                if (dom.isTextNode(node) && node.nextSibling !== null &&
+                        dom.isTextNode(node.nextSibling)) {
+                    RangeIE.Mutation._merge(node, node.nextSibling);
                 }
                 else {
-                    break;
+                    node = node.nextSibling;
                 }
             }
-            while (offsetFinder.nodeIndex >= 0);
-            offset = offsetFinder.relOffset;
-            return {
-                node : node,
-                offset : offset,
-                absOffset : offsetFinder.absOffset
-            }
         }
-        else {
-            return null;
+        return true;
+    },
+
+    /**
+     * Records the boundary points of all tracked ranges. Points between
+     * nodes are moved into the nearest text, which keeps its identity
+     * while wrappers are added and removed around it.
+     * 
+     * @private
+     * @return {Object[RangeIE.Range range, Object[] points][]}
+     */
+    _savePoints : function() {
+        var ranges, ret, points, start, end, i;
+        ranges = RangeIE.Mutation._ranges;
+        ret = [];
+        for (i = 0; i < ranges.length; i++) {
+            if (ranges[i].startContainer === null) {
+                continue;
+            }
+            points = ranges[i]._getBoundaries();
+            start = this._getTextPoint(points[0], true);
+            end = ranges[i].collapsed ? start :
+                this._getTextPoint(points[1], false);
+            // A range holding no text keeps its points between nodes
+            if (RangeIE.Dom.comparePoints(start.node, start.offset,
+                                          end.node, end.offset) <= 0) {
+                points = [start, end];
+            }
+            ret.push({
+                range : ranges[i],
+                points : points
+            });
         }
+        return ret;
     },
 
     /**
-     * Determines if node is a text node
+     * Puts back boundary points recorded by _savePoints
      * 
      * @private
-     * @param {HTMLElement} node
+     * @param {Object[RangeIE.Range range, Object[] points][]} saved
      * @return {Bool}
      */
-    _isTextNode : function(node) {
-        return (node.nodeType === 3);
+    _restorePoints : function(saved) {
+        var i, points;
+        for (i = 0; i < saved.length; i++) {
+            points = saved[i].points;
+            if (saved[i].range.startContainer !== null &&
+                    RangeIE.Mutation._isValid(points[0]) &&
+                    RangeIE.Mutation._isValid(points[1])) {
+                RangeIE.Mutation._movePoints(saved[i].range, points);
+            }
+        }
+        return true;
     },
 
     /**
-     * Get relative offset index for a non-text node
+     * Moves a boundary point between nodes into the text next to it. A
+     * start point prefers the following text, and an end point the
+     * preceding text, so the point stays next to the text of its range.
      * 
      * @private
-     * @return {Int}
+     * @param {Object[HTMLElement node, Int offset]} point
+     * @param {Bool} isStart
+     * @return {Object[HTMLElement node, Int offset]}
      */
-    _getElmOffset : function() {
-        var r1, r2, s1, s2, offset;
-        r1 = document.selection.createRange();
-        r2 = document.selection.createRange();
-        r1.moveToElementText(r1.parentElement());
-        s1 = Math.abs(r1.moveStart('character', -100000000));
-        s2 = Math.abs(r2.moveStart('character', -100000000));
-        offset = s2 - s1;
-        return offset;
+    _getTextPoint : function(point, isStart) {
+        var position, prev, next;
+        if (RangeIE.Dom.isCharacterData(point.node)) {
+            return point;
+        }
+        position = RangeIE.Position;
+        prev = position._getEdgeText(point.node.childNodes[point.offset - 1],
+                                     true);
+        next = position._getEdgeText(point.node.childNodes[point.offset],
+                                     false);
+        if (next !== null && (isStart || prev === null)) {
+            return {
+                node : next,
+                offset : 0
+            };
+        }
+        else if (prev !== null) {
+            return {
+                node : prev,
+                offset : prev.length
+            };
+        }
+        return point;
     },
 
     /**
-     * Is not print text range char
+     * Gets the Selection holding the document selection, if it lies
+     * within the root of range. The document selection is not read
+     * again, as that would replace the ranges of the Selection, which
+     * range may be one of.
      * 
-     * @param {TextRange} range
-     * @return {Bool}
+     * @private
+     * @param {RangeIE.Range} range
+     * @return {RangeIE.Selection|null}
      */
-    _isNonPrintTextRangeChar : function(range) {
-        var nodeDesc;
-        nodeDesc = range.htmlText.toLowerCase();
-        if (nodeDesc === '<br>') {
-            return true;
+    _getSelection : function(range) {
+        var selection, shown;
+        selection = RangeIE._findSelection(range._document);
+        if (selection === null || selection.rangeCount === 0 ||
+                !RangeIE.Dom.isAncestor(range._bounder,
+                                        selection.anchorNode)) {
+            return null;
         }
-        else {
-            return false;
+        // The Selection is out of date if the user has selected since
+        shown = RangeIE.Position.fromSelection(range._document);
+        if (shown.compareEndPoints('StartToStart',
+                                   selection._ranges[0]._range) !== 0 ||
+                shown.compareEndPoints('EndToEnd',
+                                       selection._ranges[0]._range) !== 0) {
+            return null;
         }
+        return selection;
     },
 
     /**
-     * Get absolute offset for a text-node
+     * Updates tracked ranges after the document was changed, and shows
+     * the selection again on the same text
      * 
      * @private
-     * @return {Int}
+     * @param {RangeIE.Selection|null} selection
+     * @return {Bool}
      */
-    _getTextAbsOffset : function() {
-        var r1, r2, r3, i, rt, j, r3t, r3tl, elmCount,
-            p, m, prevPar, relOffset, out;
-        r1 = document.selection.createRange();
-        i = 0;
-        rt = '';
-        j = 0;
-        p = null;
-        prevPar = null;
-        elmCount = -1;
-        relOffset = 1;
-        while (true) {
-            m = Math.abs(r1.moveStart('character', -1));
-            r2 = r1.duplicate();
-            r3 = r1.duplicate();
-            r3.collapse(true);
-            r3.moveEnd('character', +1);
-            //r3t = r3.text;
-            //r3tl = r3.text.length;
-            r2.collapse(true);
-            p = r2.parentElement();
-            if (!this._isBreakout(this._bounder, p)) {
-                break;
+    _finish : function(selection) {
+        RangeIE.Mutation._sync();
+        if (selection !== null && selection.rangeCount > 0) {
+            selection._setRange(selection._ranges[0], selection._backwards);
+        }
+        return true;
+    }
+
+};
+
+/**
+ * Search
+ * 
+ * Finds text within an element using TextRange.findText, and returns
+ * the matches as Ranges. Matches are found in the text as rendered, so
+ * a space in the query matches any run of whitespace.
+ */
+RangeIE.Search = {
+
+    /**
+     * Class name used by mark and unmark when none is given
+     * 
+     * @type {String}
+     */
+    className : 'rangeie-match',
+
+    /**
+     * Finds the next match of a query within root
+     * 
+     * @param {HTMLElement} root
+     * @param {String} query
+     * @param {Object} options
+     *        Optional. caseSensitive and wholeWord narrow the matches,
+     *        backwards searches towards the start of root, and from is a
+     *        Range to search onwards from, such as the previous match.
+     * @return {RangeIE.Range|null}
+     */
+    find : function(root, query, options) {
+        var scope, range, found, start, end, flags, match;
+        if (options === undefined || options === null) {
+            options = {};
+        }
+        if (query === '') {
+            return null;
+        }
+        scope = RangeIE.backend.createRange(root.ownerDocument);
+        scope.moveToElementText(root);
+        range = scope.duplicate();
+        if (options.from !== undefined && options.from !== null) {
+            options.from._checkState('find');
+            if (options.backwards) {
+                range.setEndPoint('EndToStart', options.from._range);
             }
-            if (r1.text !== '' && rt !== r1.text) {
-                i++;
+            else {
+                range.setEndPoint('StartToEnd', options.from._range);
             }
-            rt = r1.text;
-            // Prevent runaway loops here
-            if (m === 0) {
-                i = 0;
+        }
+        flags = (options.wholeWord ? 2 : 0) | (options.caseSensitive ? 4 : 0);
+        found = range.findText(query, (options.backwards ? -1 : 1) *
+                                      Math.max(range.text.length, 1),
+                               flags);
+        if (!found || !scope.inRange(range)) {
+            return null;
+        }
+        start = this._getTextStart(
+            RangeIE.Position.fromTextRange(range, true, root), root
+        );
+        end = this._getTextEnd(
+            RangeIE.Position.fromTextRange(range, false, root), root
+        );
+        match = new RangeIE.Range(root);
+        match._setRange(start.node, start.offset, end.node, end.offset);
+        return match;
+    },
+
+    /**
+     * Finds every match of a query within root, in document order
+     * 
+     * @param {HTMLElement} root
+     * @param {String} query
+     * @param {Object} options
+     *        Optional. Takes caseSensitive and wholeWord as for find.
+     *        When highlight is set, the matches are marked with it as
+     *        the class name, or with className if it is true.
+     * @return {RangeIE.Range[]}
+     *         Live ranges, which should be detached once they are no
+     *         longer needed
+     */
+    findAll : function(root, query, options) {
+        var ret, match;
+        if (options === undefined || options === null) {
+            options = {};
+        }
+        ret = [];
+        match = this.find(root, query, {
+            caseSensitive : options.caseSensitive,
+            wholeWord : options.wholeWord
+        });
+        while (match !== null) {
+            // Stop should IE report a match before the previous one
+            if (ret.length > 0 && match.compareBoundaryPoints(
+                    RangeIE.Range.END_TO_START, ret[ret.length - 1]) < 0) {
+                match.detach();
                 break;
             }
-            // We have hit a new element
-            if (this._isNonPrintTextRangeChar(r3) || prevPar !== p) {
-                elmCount++;
-            }
-            // if on first element, incremenent relative offset
-            else if(elmCount <= 0) {
-                relOffset++;
-            }
-            prevPar = p;
-            j++;
+            ret.push(match);
+            match = this.find(root, query, {
+                caseSensitive : options.caseSensitive,
+                wholeWord : options.wholeWord,
+                from : match
+            });
         }
-        out = {
-            nodeIndex : elmCount,
-            relOffset : relOffset,
-            absOffset : i
-        };
-        return out;
+        if (options.highlight) {
+            this.mark(ret, (options.highlight === true) ? this.className :
+                                                          options.highlight);
+        }
+        return ret;
     },
 
     /**
-     * Determines if an element is a child of or is equal to another element
+     * Highlights ranges by applying a class to their text. The ranges
+     * and the selection are rebuilt once, after all of them are marked.
      * 
-     * @private
-     * @param {HTMLElement|null} parent
-     * @param {HTMLElement|null} child
+     * @see RangeIE.ClassApplier
+     * @param {RangeIE.Range[]} ranges
+     * @param {String} className
+     *        Optional. Defaults to className.
      * @return {Bool}
      */
-    _isBreakout : function(parent, child) {
-        if (parent === null || child === null) {
-            return false;
-        }
-        else if (parent === child) {
+    mark : function(ranges, className) {
+        var applier, selection, i;
+        if (ranges.length === 0) {
             return true;
         }
-        else if (child === window.document.body ||
-                 child === window.document) {
-            return false;
-        }
-        else if (child.contains(parent)) {
-            return false;
+        for (i = 0; i < ranges.length; i++) {
+            ranges[i]._checkState('mark');
         }
-        else {
-            return parent.contains(child);
+        applier = new RangeIE.ClassApplier(className || this.className);
+        selection = applier._getSelection(ranges[0]);
+        for (i = 0; i < ranges.length; i++) {
+            applier._apply(ranges[i]);
         }
+        applier._finish(selection);
+        return true;
     },
 
     /**
-     * Determines if parent is ancestor of child
+     * Removes the highlights added by mark from all text within root
      * 
-     * @param parent {HTMLElement|Document} parent
-     * @param child {HTMLElement}
+     * @param {HTMLElement} root
+     * @param {String} className
+     *        Optional. Defaults to className.
      * @return {Bool}
      */
-    _isAncestor : function(parent, child) {
-        var f;
-        f = false;
-        while (true) {
-            if (child === null || child === undefined) {
-                break;
-            }
-            if (parent === window.document) {
-                if (child.nodeName !== null && child.nodeName !== undefined) {
-                    if (child.nodeName.toLowerCase() === 'html') {
-                        f = true;
-                        break;
-                    }
-                }
-            }
-            if (child === parent) {
-                f = true;
-                break;
-            }
-            child = child.parentNode;
-        }
-        return f;
+    unmark : function(root, className) {
+        var range;
+        range = new RangeIE.Range(root);
+        range.selectNodeContents(root);
+        (new RangeIE.ClassApplier(className || this.className))
+            .undoToRange(range);
+        range.detach();
+        return true;
     },
 
     /**
-     * Checks if node is within the DOM. Throws error if not.
+     * Moves a point at the end of a text node to the start of the text
+     * following it on the same line, where a match starts
      * 
-     * @todo BrendonCrawford: Is there any way to get line numbers in here?
-     * @param {HTMLElement} referenceNode
-     * @param {String} funcName
+     * @private
+     * @param {Object[HTMLElement node, Int offset]} point
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
      */
-    _checkNode : function(referenceNode, funcName) {
-        var f, o, s;
-        if (!this._isAncestor(window.document, referenceNode)) {
-            f = arguments.callee.caller.caller;
-            o = this._getCallerString(f, funcName);
-            s =
-                "RangeIE: When inserting or selecting nodes, the node " +
-                "must already exist in the document. It must have been " +
-                "previously added to the DOM using appendChild, " +
-                "insertBefore or other such DOM methods. Error " +
-                "occurred at: " + o;
-            throw (new Error(s));
+    _getTextStart : function(point, root) {
+        var node, next;
+        if (!RangeIE.Dom.isTextNode(point.node) ||
+                point.offset < point.node.length) {
+            return point;
         }
-        else {
-            return true;
+        node = point.node;
+        while (node.nextSibling === null && node.parentNode !== root &&
+                !RangeIE.Position._isBlock(node.parentNode)) {
+            node = node.parentNode;
+        }
+        next = RangeIE.Position._getEdgeText(node.nextSibling, false);
+        if (next === null) {
+            return point;
         }
+        return {
+            node : next,
+            offset : 0
+        };
     },
 
     /**
-     * Finds caller string of function
+     * Moves a point at the start of a text node to the end of the text
+     * before it on the same line, where a match ends
      * 
-     * @param {Function} clr
-     * @param {String} funcName
-     * @return {String}
+     * @private
+     * @param {Object[HTMLElement node, Int offset]} point
+     * @param {HTMLElement} root
+     * @return {Object[HTMLElement node, Int offset]}
      */
-    _getCallerString : function(clr, funcName) {
-        var f, m, r, o;
-        f = clr.toString();
-        r = new RegExp('.*?' + funcName + '.*', 'i');
-        m = r.exec(f);
-        if (m !== null && m[0] !== undefined) {
-            o = m[0].replace(/(^\s+|\s+$)/, '');
+    _getTextEnd : function(point, root) {
+        var node, prev;
+        if (!RangeIE.Dom.isTextNode(point.node) || point.offset > 0) {
+            return point;
         }
-        else {
-            o = funcName + '(...)';
+        node = point.node;
+        while (node.previousSibling === null && node.parentNode !== root &&
+                !RangeIE.Position._isBlock(node.parentNode)) {
+            node = node.parentNode;
+        }
+        prev = RangeIE.Position._getEdgeText(node.previousSibling, true);
+        if (prev === null) {
+            return point;
         }
-        return o;
+        return {
+            node : prev,
+            offset : prev.length
+        };
     }
 
 };
 
 /**
- * Assign Selection object constructor
+ * Finds the next match of a query within root
+ * 
+ * @see RangeIE.Search.find
+ * @param {HTMLElement} root
+ * @param {String} query
+ * @param {Object} options
+ *        Optional. Takes caseSensitive, wholeWord, backwards and from.
+ * @return {RangeIE.Range|null}
+ */
+RangeIE.find = function(root, query, options) {
+    return RangeIE.Search.find(root, query, options);
+};
+
+/**
+ * Finds every match of a query within root
+ * 
+ * @see RangeIE.Search.findAll
+ * @param {HTMLElement} root
+ * @param {String} query
+ * @param {Object} options
+ *        Optional. Takes caseSensitive, wholeWord and highlight.
+ * @return {RangeIE.Range[]}
  */
-if (window.getSelection === undefined) {
-    window.getSelection = function() {
-        return (new RangeIE.Selection);
-    };
-}
+RangeIE.findAll = function(root, query, options) {
+    return RangeIE.Search.findAll(root, query, options);
+};
 
 /**
- * Assign Range object constructor
+ * Installs getSelection and createRange on a window which lacks them,
+ * such as the window of an iframe holding an editor, and starts tracking
+ * the selection direction in its document.
+ * 
+ * @param {Window} win
+ * @return {Bool}
+ *         False if the backend does not support the document
  */
-if (window.document.createRange === undefined) {
-    window.document.createRange = function() {
-        return (new RangeIE.Range);
-    };
-}
+RangeIE.install = function(win) {
+    var doc;
+    doc = win.document;
+    // Browsers without TextRanges have their own Range and Selection
+    if (!RangeIE.backend.isSupported(doc)) {
+        return false;
+    }
+    if (win.getSelection === undefined) {
+        win.getSelection = function() {
+            return RangeIE.getSelection(doc);
+        };
+    }
+    if (doc.createRange === undefined) {
+        doc.createRange = function(root) {
+            return (new RangeIE.Range(root, doc));
+        };
+    }
+    RangeIE.Direction.listen(doc);
+    RangeIE.Position.listen(doc);
+    return true;
+};
 
+/**
+ * Assign Selection and Range object constructors
+ */
+RangeIE.install(window);